@@ -0,0 +1,89 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { LLMProvider } from './llm-provider.js';
+
+/**
+ * Anthropic's Messages API - the conversation format LLMClient uses natively
+ */
+export class AnthropicProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} [options.model] - Model name (default claude-sonnet-4-5)
+   * @param {string} [options.baseUrl] - API endpoint, e.g. for a proxy
+   */
+  constructor({ apiKey, model, baseUrl }) {
+    super({ model: model || 'claude-sonnet-4-5' });
+    this.name = 'anthropic';
+    // LLMClient retries, for all providers alike
+    this.client = new Anthropic({ apiKey, baseURL: baseUrl || undefined, maxRetries: 0 });
+  }
+
+  async complete({ system, messages, tools, maxTokens, onText, signal }) {
+    const params = {
+      model: this.model,
+      max_tokens: maxTokens,
+      system,
+      tools,
+      messages,
+    };
+
+    let response;
+    let stream = null;
+    try {
+      if (onText) {
+        // The stream assembles tool_use blocks from their input_json deltas
+        stream = this.client.messages.stream(params, { signal });
+        stream.on('text', (delta) => onText(delta));
+        response = await stream.finalMessage();
+      } else {
+        response = await this.client.messages.create(params, { signal });
+      }
+    } catch (error) {
+      const described = this.describeError(error);
+      // The message so far carries the usage of message_start and the last message_delta
+      described.usage = this.fromAnthropicUsage(stream?.currentMessage?.usage);
+      throw described;
+    }
+
+    return {
+      content: response.content,
+      stopReason: response.stop_reason,
+      usage: this.fromAnthropicUsage(response.usage),
+    };
+  }
+
+  /**
+   * Anthropic usage -> our usage
+   */
+  fromAnthropicUsage(usage) {
+    if (!usage) return null;
+    return {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cacheReadTokens: usage.cache_read_input_tokens || 0,
+      cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+    };
+  }
+
+  /**
+   * Add what LLMClient needs to decide about a retry to an SDK error
+   */
+  describeError(error) {
+    if (error instanceof Anthropic.APIConnectionError) {
+      error.connectionError = true;
+    }
+    // Errors in the middle of a stream have no HTTP status, only the error type
+    if (error instanceof Anthropic.APIError && !error.status) {
+      const type = (error.message || '').match(/"type"\s*:\s*"(overloaded_error|api_error|rate_limit_error)"/);
+      if (type) {
+        error.status = { overloaded_error: 529, api_error: 500, rate_limit_error: 429 }[type[1]];
+      }
+    }
+    const headers = error.headers || {};
+    error.retryAfter = headers['retry-after-ms'] ? Number(headers['retry-after-ms'])
+      : this.parseRetryAfter(headers['retry-after']);
+    return error;
+  }
+}
+
+export default AnthropicProvider;
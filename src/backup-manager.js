@@ -0,0 +1,93 @@
+/**
+ * Builds the shell scripts that back up files on the target host before a
+ * change and restore them for /undo. Backups stay on the host, one
+ * timestamped directory per change below /var/tmp.
+ */
+export class BackupManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseDir] - Where backup directories are created (default /var/tmp)
+   * @param {number} [options.maxFileBytes] - Larger files are not backed up (default 50 MB)
+   */
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || '/var/tmp';
+    this.maxFileBytes = options.maxFileBytes || 50 * 1024 * 1024;
+  }
+
+  /**
+   * A new, unique backup directory for a session
+   */
+  newBackupDir(sessionName) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const suffix = Math.random().toString(36).slice(2, 8);
+    return `${this.baseDir}/klaus-backup-${sessionName.replace(/[^A-Za-z0-9_.-]/g, '_')}-${timestamp}-${suffix}`;
+  }
+
+  /**
+   * Script that copies the files into the backup directory (keeping mode,
+   * owner and timestamps) and reports one "<state> <path>" line per file:
+   * saved, absent (restore deletes it) or skipped (directory, special or too large)
+   * @param {string} backupDir - From newBackupDir()
+   * @param {string[]} files - Absolute paths
+   * @returns {string}
+   */
+  backupScript(backupDir, files) {
+    return [
+      'umask 077',
+      `mkdir -p ${this.quote(backupDir)} || exit 1`,
+      `for f in ${files.map(f => this.quote(f)).join(' ')}; do`,
+      '  if [ -f "$f" ] || [ -L "$f" ]; then',
+      `    if [ -f "$f" ] && [ "$(wc -c < "$f")" -gt ${this.maxFileBytes} ]; then echo "skipped $f"; continue; fi`,
+      `    mkdir -p "${backupDir}$(dirname "$f")" && cp -a "$f" "${backupDir}$f" && echo "saved $f" || exit 1`,
+      '  elif [ -e "$f" ]; then echo "skipped $f"',
+      '  else echo "absent $f"; fi',
+      'done',
+    ].join('\n');
+  }
+
+  /**
+   * Read the report of backupScript()
+   * @returns {Array<{path: string, state: string}>}
+   */
+  parseBackupOutput(stdout) {
+    return stdout
+      .split('\n')
+      .map(line => line.match(/^(saved|absent|skipped) (.+)$/))
+      .filter(Boolean)
+      .map(([, state, path]) => ({ path, state }));
+  }
+
+  /**
+   * Script that puts the backed-up files back and deletes the files that did
+   * not exist before the change
+   * @param {Object} entry - Undo stack entry
+   * @returns {string}
+   */
+  restoreScript(entry) {
+    const lines = ['set -e'];
+    for (const file of entry.files) {
+      if (file.state === 'saved') {
+        lines.push(`cp -a ${this.quote(entry.backupDir + file.path)} ${this.quote(file.path)}`);
+      } else if (file.state === 'absent') {
+        lines.push(`rm -f ${this.quote(file.path)}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Whether an undo entry has anything to restore
+   */
+  isRestorable(entry) {
+    return entry.files.some(f => f.state !== 'skipped');
+  }
+
+  /**
+   * Quote a string for the remote shell
+   */
+  quote(s) {
+    return `'${s.replace(/'/g, "'\\''")}'`;
+  }
+}
+
+export default BackupManager;
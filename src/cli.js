@@ -7,6 +7,8 @@ import chalk from 'chalk';
 export class CLI {
   constructor() {
     this.rl = null;
+    this.activeSpinner = null;
+    this.interruptHandler = null;
   }
 
   /**
@@ -18,13 +20,42 @@ export class CLI {
       output: process.stdout,
     });
 
-    // Handle Ctrl+C gracefully
+    // Handle Ctrl+C gracefully - it cancels what is running (see onInterrupt) or exits
     this.rl.on('SIGINT', () => {
+      if (this.interruptHandler) {
+        this.interruptHandler();
+        return;
+      }
       this.print('\n\nGoodbye! 👋\n', 'info');
       process.exit(0);
     });
   }
 
+  /**
+   * Let Ctrl+Z do something (e.g. move a command to the background), until the
+   * returned cleanup is called. Without a handler Ctrl+Z suspends Klaus as usual.
+   * @param {function} handler - Called on Ctrl+Z
+   * @returns {function} - Removes the handler
+   */
+  onSuspend(handler) {
+    this.rl.on('SIGTSTP', handler);
+    return () => this.rl.removeListener('SIGTSTP', handler);
+  }
+
+  /**
+   * Let Ctrl+C cancel something instead of exiting, until the returned cleanup is called
+   * @param {function} handler - Called on Ctrl+C
+   * @returns {function} - Restores exit on Ctrl+C
+   */
+  onInterrupt(handler) {
+    this.interruptHandler = handler;
+    return () => {
+      if (this.interruptHandler === handler) {
+        this.interruptHandler = null;
+      }
+    };
+  }
+
   /**
    * Print the welcome banner
    */
@@ -38,9 +69,26 @@ export class CLI {
 ║     Type your requests in natural language                   ║
 ║                                                               ║
 ║     Commands:                                                 ║
-║       ${chalk.yellow('/connect')}  - Connect to a server                       ║
+║       ${chalk.yellow('/connect')}  - Connect to a server, profile or 'local'   ║
+║       ${chalk.yellow('/hosts')}    - List host profiles                        ║
+║       ${chalk.yellow('/sessions')} - List open sessions                        ║
+║       ${chalk.yellow('/use')}      - Switch the active session                 ║
+║       ${chalk.yellow('/disconnect')} - Close the active session                ║
+║       ${chalk.yellow('/resume')}   - Resume a saved session of this host       ║
+║       ${chalk.yellow('/target')}   - Run in a container or pod (or host)       ║
 ║       ${chalk.yellow('/system')}   - Set system description                    ║
+║       ${chalk.yellow('/facts')}    - Show gathered system facts (refresh)      ║
+║       ${chalk.yellow('/notes')}    - Notes about this host (add|rm|edit)       ║
+║       ${chalk.yellow('/plan')}     - Plan mode: on|off|show|save|apply         ║
+║       ${chalk.yellow('/export')}   - Export runbook (.md, or --sh for script)  ║
+║       ${chalk.yellow('/run')}      - Replay a runbook or script on this host   ║
+║       ${chalk.yellow('/undo')}     - Revert the last file change (list)        ║
 ║       ${chalk.yellow('/status')}   - Show connection status                    ║
+║       ${chalk.yellow('/budget')}   - Session LLM spending limit (off)          ║
+║       ${chalk.yellow('/retry')}    - Send the last failed request again        ║
+║       ${chalk.yellow('/jobs')}     - List background jobs                      ║
+║       ${chalk.yellow('/fg')} [n]   - Wait for a background job                 ║
+║       ${chalk.yellow('/kill')} <n> - Stop a background job                     ║
 ║       ${chalk.yellow('/clear')}    - Clear conversation                        ║
 ║       ${chalk.yellow('/help')}     - Show this help                            ║
 ║       ${chalk.yellow('/quit')}     - Exit Admin Klaus                          ║
@@ -87,19 +135,120 @@ export class CLI {
     console.log();
   }
 
+  /**
+   * Print Klaus's response while it streams in, in the same box as printKlausResponse.
+   * The box opens with the first text.
+   * @returns {{write: function(string): void, notice: function(string): void, end: function(boolean=): void, started: boolean}} -
+   *   write() takes text deltas; notice() adds a status line; end(cancelled) closes the box
+   */
+  startKlausResponse() {
+    const prefix = chalk.cyan('│  ');
+    let atLineStart = true;
+
+    const writer = {
+      started: false,
+      write: (delta) => {
+        if (!writer.started) {
+          // Nothing but leading blank lines yet - wait for the text
+          delta = delta.replace(/^\s*\n/, '');
+          if (!delta) return;
+          writer.started = true;
+          console.log();
+          console.log(chalk.cyan.bold('┌─ Klaus ─────────────────────────────────────────────'));
+          console.log(chalk.cyan('│'));
+        }
+
+        const parts = delta.split('\n');
+        parts.forEach((part, i) => {
+          const isLast = i === parts.length - 1;
+          if (atLineStart && (part || !isLast)) {
+            process.stdout.write(prefix);
+            atLineStart = false;
+          }
+          process.stdout.write(chalk.white(part));
+          if (!isLast) {
+            process.stdout.write('\n');
+            atLineStart = true;
+          }
+        });
+      },
+      notice: (text) => {
+        if (!atLineStart) {
+          process.stdout.write('\n');
+          atLineStart = true;
+        }
+        console.log(prefix + chalk.yellow(`[${text}]`));
+      },
+      end: (cancelled = false) => {
+        if (!writer.started) {
+          if (cancelled) {
+            this.print('Response cancelled', 'warning');
+          }
+          return;
+        }
+        if (!atLineStart) {
+          process.stdout.write('\n');
+        }
+        if (cancelled) {
+          console.log(prefix + chalk.yellow('[cancelled]'));
+        }
+        console.log(chalk.cyan('│'));
+        console.log(chalk.cyan.bold('└─────────────────────────────────────────────────────'));
+        console.log();
+      },
+    };
+    return writer;
+  }
+
   /**
    * Print command execution info
+   * @param {string} command - The command
+   * @param {string} explanation - What it does
+   * @param {Object} [risk] - Result of RiskAnalyzer.analyze()
+   * @param {string} [target] - Container or pod it runs in (see /target)
    */
-  printCommandExecution(command, explanation) {
+  printCommandExecution(command, explanation, risk, target) {
     console.log();
     console.log(chalk.yellow.bold('┌─ Executing Command ─────────────────────────────────'));
     console.log(chalk.yellow('│'));
     console.log(chalk.yellow('│  ') + chalk.gray(explanation));
+    if (target) {
+      console.log(chalk.yellow('│  ') + chalk.magenta(`In ${target}`));
+    }
     console.log(chalk.yellow('│  ') + chalk.white.bold('$ ' + command));
+    if (risk) {
+      const riskColors = { low: chalk.green, medium: chalk.yellow, high: chalk.red.bold };
+      const reasons = risk.reasons.length > 0 ? ` - ${risk.reasons.join(', ')}` : '';
+      console.log(chalk.yellow('│  ') + riskColors[risk.level](`Risk: ${risk.level.toUpperCase()}${reasons}`));
+    }
     console.log(chalk.yellow('│'));
     console.log(chalk.yellow.bold('└─────────────────────────────────────────────────────'));
   }
 
+  /**
+   * Print a unified diff of a proposed file change
+   */
+  printDiff(diffText) {
+    console.log();
+    console.log(chalk.cyan.bold('┌─ Proposed Change ───────────────────────────────────'));
+    for (const line of diffText.split('\n')) {
+      let colored;
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        colored = chalk.white.bold(line);
+      } else if (line.startsWith('@@')) {
+        colored = chalk.cyan(line);
+      } else if (line.startsWith('+')) {
+        colored = chalk.green(line);
+      } else if (line.startsWith('-')) {
+        colored = chalk.red(line);
+      } else {
+        colored = chalk.gray(line);
+      }
+      console.log(chalk.cyan('│  ') + colored);
+    }
+    console.log(chalk.cyan.bold('└─────────────────────────────────────────────────────'));
+  }
+
   /**
    * Print command output
    */
@@ -134,6 +283,38 @@ export class CLI {
     console.log();
   }
 
+  /**
+   * Print fan-out results grouped by identical output
+   */
+  printGroupResults(groups, totalHosts) {
+    const allOk = groups.every(g => g.exitCode === 0);
+    const color = allOk ? chalk.green : chalk.red;
+
+    console.log();
+    console.log(color.bold(`┌─ Results (${totalHosts} hosts, ${groups.length} distinct) ─────────────────────`));
+
+    for (const group of groups) {
+      const ok = group.exitCode === 0;
+      const icon = ok ? chalk.green('✓') : chalk.red('✗');
+      const status = group.error ? chalk.red(group.error) : `exit: ${group.exitCode}`;
+      console.log(color('│'));
+      console.log(color('│  ') + `${icon} ${chalk.bold(`${group.hosts.length} host${group.hosts.length === 1 ? '' : 's'}`)} (${status}): ` + chalk.gray(group.hosts.join(', ')));
+
+      const lines = (group.stdout || '').split('\n').filter(Boolean).slice(0, 10);
+      for (const line of lines) {
+        console.log(color('│      ') + line);
+      }
+      if (group.stderr) {
+        for (const line of group.stderr.split('\n').slice(0, 5)) {
+          console.log(color('│      ') + chalk.red(line));
+        }
+      }
+    }
+
+    console.log(color.bold('└─────────────────────────────────────────────────────'));
+    console.log();
+  }
+
   /**
    * Prompt for user input
    */
@@ -153,6 +334,17 @@ export class CLI {
     return answer.toLowerCase().startsWith('y');
   }
 
+  /**
+   * Ask for a typed confirmation: the answer must be one of the given words
+   * @param {string[]} names - Accepted names (e.g. the hostname)
+   * @param {string} keyword - Accepted keyword (e.g. "execute")
+   */
+  async confirmTyped(names, keyword) {
+    this.print(`This is a HIGH-RISK command. Type ${names.map(n => `"${n}"`).join(' or ')} or "${keyword}" to run it.`, 'error');
+    const answer = await this.prompt('Confirm');
+    return [...names, keyword].includes(answer);
+  }
+
   /**
    * Ask for password (hidden input)
    */
@@ -165,6 +357,8 @@ export class CLI {
       if (this.rl) {
         this.rl.pause();
       }
+      const spinner = this.activeSpinner;
+      spinner?.pause();
 
       stdout.write(chalk.yellow(`${promptText}: `));
 
@@ -191,11 +385,16 @@ export class CLI {
         }
       };
 
+      const done = () => {
+        cleanup();
+        stdout.write('\n');
+        spinner?.resume();
+        resolve(password);
+      };
+
       const onData = (char) => {
         if (char === '\n' || char === '\r' || char === '\u0004') {
-          cleanup();
-          stdout.write('\n');
-          resolve(password);
+          done();
         } else if (char === '\u0003') {
           // Ctrl+C
           cleanup();
@@ -231,26 +430,275 @@ export class CLI {
   }
 
   /**
-   * Show a spinner while waiting
+   * Print the host profiles from the inventory
+   */
+  printHostList(profiles) {
+    console.log();
+    console.log(chalk.cyan.bold('┌─ Host Profiles ─────────────────────────────────────'));
+    for (const profile of profiles) {
+      const target = `${profile.username}@${profile.host}:${profile.port}`;
+      const tags = profile.tags.length > 0 ? chalk.gray(` [${profile.tags.join(', ')}]`) : '';
+      console.log(chalk.cyan('│  ') + chalk.white.bold(profile.name.padEnd(16)) + ' ' + target + tags);
+      if (profile.systemDescription) {
+        console.log(chalk.cyan('│  ') + ' '.repeat(17) + chalk.gray(profile.systemDescription));
+      }
+    }
+    console.log(chalk.cyan.bold('└─────────────────────────────────────────────────────'));
+    console.log();
+  }
+
+  /**
+   * Print the open sessions, marking the active one
    */
-  startSpinner(message) {
+  printSessionList(sessions, activeSession) {
+    console.log();
+    console.log(chalk.cyan.bold('┌─ Sessions ──────────────────────────────────────────'));
+    for (const session of sessions) {
+      const marker = session === activeSession ? chalk.green('*') : ' ';
+      const state = session.isConnected ? chalk.green('connected') : chalk.yellow('disconnected');
+      const execTarget = session.execTarget ? chalk.magenta(` [${session.execTarget.label}]`) : '';
+      console.log(chalk.cyan('│ ') + marker + ' ' + chalk.white.bold(session.name.padEnd(16)) + ' ' + session.target + execTarget + ' ' + state);
+    }
+    console.log(chalk.cyan.bold('└─────────────────────────────────────────────────────'));
+    console.log();
+  }
+
+  /**
+   * Print the saved sessions of a host, newest first
+   */
+  printSavedSessions(name, sessions) {
+    console.log();
+    console.log(chalk.cyan.bold(`┌─ Saved Sessions: ${name} ─────────────────────────────`));
+    for (const session of sessions) {
+      const counts = chalk.gray(`${session.messageCount} messages, ${session.commandCount} commands`);
+      console.log(chalk.cyan('│  ') + chalk.white.bold(session.id) + '  ' + counts);
+      if (session.lastGoal) {
+        const goal = session.lastGoal.split('\n')[0];
+        console.log(chalk.cyan('│  ') + '    ' + chalk.gray(goal.length > 70 ? goal.slice(0, 67) + '...' : goal));
+      }
+    }
+    console.log(chalk.cyan.bold('└─────────────────────────────────────────────────────'));
+    console.log(chalk.gray('Resume with /resume <id> (or /resume for the most recent)'));
+    console.log();
+  }
+
+  /**
+   * Print the commands recorded in plan mode (or read from a runbook)
+   */
+  printPlan(steps, title = 'Plan') {
+    console.log();
+    console.log(chalk.blue.bold(`┌─ ${title} (${steps.length} step${steps.length === 1 ? '' : 's'}) ───────────────────────────────────`));
+    if (steps.length === 0) {
+      console.log(chalk.blue('│  ') + chalk.gray('No commands recorded yet'));
+    }
+    steps.forEach((step, i) => {
+      const flags = [
+        step.requires_sudo ? 'sudo' : null,
+        step.is_streaming ? 'streaming' : null,
+        step.group ? `group: ${step.group}` : null,
+        step.target ? `in ${step.target}` : null,
+      ].filter(Boolean);
+      console.log(chalk.blue('│'));
+      console.log(chalk.blue('│  ') + chalk.bold(`${i + 1}. `) + chalk.gray(step.explanation));
+      console.log(chalk.blue('│     ') + chalk.white.bold('$ ' + step.command) + (flags.length > 0 ? chalk.yellow(` [${flags.join(', ')}]`) : ''));
+    });
+    console.log(chalk.blue.bold('└─────────────────────────────────────────────────────'));
+    console.log();
+  }
+
+  /**
+   * Print the gathered system facts of a host
+   * @param {string} name - Session name
+   * @param {string} text - FactGatherer.render() output
+   * @param {string} gatheredAt - ISO timestamp
+   */
+  printFacts(name, text, gatheredAt) {
+    console.log();
+    console.log(chalk.cyan.bold(`┌─ Facts: ${name} ─────────────────────────────────────`));
+    for (const line of text.split('\n')) {
+      const [label, ...rest] = line.split(': ');
+      console.log(chalk.cyan('│  ') + chalk.white.bold(`${label}: `) + rest.join(': '));
+    }
+    console.log(chalk.cyan('│  ') + chalk.gray(`gathered ${gatheredAt} - /facts refresh to update`));
+    console.log(chalk.cyan.bold('└─────────────────────────────────────────────────────'));
+    console.log();
+  }
+
+  /**
+   * Print the persistent notes of a host
+   * @param {string} name - Session name
+   * @param {string[]} notes - The notes
+   * @param {string} file - Where they are stored
+   */
+  printNotes(name, notes, file) {
+    console.log();
+    console.log(chalk.cyan.bold(`┌─ Notes: ${name} ─────────────────────────────────────`));
+    if (notes.length === 0) {
+      console.log(chalk.cyan('│  ') + chalk.gray('No notes yet - /notes add <text>, or let Klaus remember things'));
+    }
+    notes.forEach((note, i) => {
+      console.log(chalk.cyan('│  ') + chalk.white.bold(`${i + 1}. `) + note);
+    });
+    console.log(chalk.cyan('│  ') + chalk.gray(file));
+    console.log(chalk.cyan.bold('└─────────────────────────────────────────────────────'));
+    console.log();
+  }
+
+  /**
+   * Print a note Klaus wants to keep about a host
+   */
+  printNoteProposal(name, note, explanation) {
+    console.log();
+    console.log(chalk.cyan.bold(`┌─ Remember for ${name} ───────────────────────────────`));
+    console.log(chalk.cyan('│  ') + chalk.gray(explanation || ''));
+    console.log(chalk.cyan('│  ') + chalk.white.bold(note));
+    console.log(chalk.cyan.bold('└─────────────────────────────────────────────────────'));
+  }
+
+  /**
+   * Print the changes /undo can revert, newest first
+   */
+  printUndoList(entries) {
+    console.log();
+    console.log(chalk.blue.bold('┌─ Undo ──────────────────────────────────────────────'));
+    if (entries.length === 0) {
+      console.log(chalk.blue('│  ') + chalk.gray('Nothing to undo'));
+    }
+    [...entries].reverse().forEach((entry, i) => {
+      const tag = i === 0 ? chalk.yellow(' (next /undo)') : '';
+      console.log(chalk.blue('│  ') + chalk.white.bold(`${entries.length - i}. `) + chalk.gray(entry.timestamp) + tag);
+      console.log(chalk.blue('│     ') + chalk.white(`$ ${entry.sudo ? 'sudo ' : ''}${entry.command.split('\n')[0]}`));
+      for (const file of entry.files) {
+        const note = { saved: '', absent: chalk.gray(' (new - undo deletes it)'), skipped: chalk.gray(' (not backed up)') }[file.state];
+        console.log(chalk.blue('│     ') + chalk.cyan(file.path) + note);
+      }
+      console.log(chalk.blue('│     ') + chalk.gray(`backup: ${entry.backupDir}`));
+    });
+    console.log(chalk.blue.bold('└─────────────────────────────────────────────────────'));
+    console.log();
+  }
+
+  /**
+   * Print the running background jobs (/jobs)
+   */
+  printJobs(jobs) {
+    console.log();
+    console.log(chalk.blue.bold('┌─ Jobs ──────────────────────────────────────────────'));
+    if (jobs.length === 0) {
+      console.log(chalk.blue('│  ') + chalk.gray('No background jobs'));
+    }
+    for (const job of jobs) {
+      const runtime = this.formatDuration(Math.round((Date.now() - job.startedAt) / 1000));
+      console.log(chalk.blue('│  ') + chalk.white.bold(`[${job.id}] `) + chalk.green('running ') + chalk.gray(`${runtime} on ${job.session.name}`));
+      console.log(chalk.blue('│     ') + chalk.white(`$ ${job.requiresSudo ? 'sudo ' : ''}${job.command.split('\n')[0]}`));
+      const lastLine = `${job.stdout}\n${job.stderr}`.trim().split('\n').pop();
+      if (lastLine) {
+        console.log(chalk.blue('│     ') + chalk.gray(lastLine.slice(0, 100)));
+      }
+    }
+    console.log(chalk.blue.bold('└─────────────────────────────────────────────────────'));
+    console.log();
+  }
+
+  /**
+   * 45s, 2m05s, 1h10m
+   */
+  formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(seconds / 3600)}h${String(Math.floor(seconds / 60) % 60).padStart(2, '0')}m`;
+  }
+
+  /**
+   * Print the per-step pass/fail report of a runbook replay
+   */
+  printRunReport(file, report) {
+    const icons = {
+      passed: chalk.green('✓'),
+      failed: chalk.red('✗'),
+      'failed (skipped)': chalk.red('✗'),
+      aborted: chalk.yellow('■'),
+      background: chalk.cyan('↷'),
+      refused: chalk.red('⊘'),
+      skipped: chalk.yellow('⊘'),
+      'not run': chalk.gray('·'),
+    };
+    const passed = report.filter(r => r.status === 'passed').length;
+    const color = passed === report.length ? chalk.green : chalk.red;
+
+    console.log();
+    console.log(color.bold(`┌─ Run report: ${file} (${passed}/${report.length} passed) ─────────────────`));
+    report.forEach(({ step, status }, i) => {
+      console.log(color('│  ') + `${icons[status] || ' '} ${String(i + 1).padStart(2)}. ` + chalk.white(step.command.split('\n')[0]) + chalk.gray(` (${status})`));
+    });
+    console.log(color.bold('└─────────────────────────────────────────────────────'));
+    console.log();
+  }
+
+  /**
+   * Show a spinner while waiting. spinner.output(text) shows the last lines
+   * of a command's output under it as they arrive.
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.tailLines] - Output lines to show (default 5)
+   */
+  startSpinner(message, { tailLines = 5 } = {}) {
     const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
     let i = 0;
+    let interval = null;
+    // Complete output lines, the line still being written, and how many are on screen
+    let tail = [];
+    let partial = '';
+    let shown = 0;
 
-    process.stdout.write(chalk.cyan(`${frames[0]} ${message}`));
-
-    const interval = setInterval(() => {
-      i = (i + 1) % frames.length;
-      process.stdout.clearLine(0);
+    const clear = () => {
       process.stdout.cursorTo(0);
-      process.stdout.write(chalk.cyan(`${frames[i]} ${message}`));
-    }, 80);
+      if (shown > 0) {
+        process.stdout.moveCursor(0, -shown);
+      }
+      process.stdout.clearScreenDown();
+      shown = 0;
+    };
+
+    const render = () => {
+      clear();
+      const width = Math.max((process.stdout.columns || 80) - 4, 20);
+      const lines = [...tail, partial]
+        .map(line => this.displayLine(line))
+        .filter(Boolean)
+        .slice(-tailLines);
+      process.stdout.write(chalk.cyan(`${frames[i]} ${message}`)
+        + lines.map(line => '\n' + chalk.gray(`  ${line.slice(0, width)}`)).join(''));
+      shown = lines.length;
+    };
 
-    return {
+    const start = () => {
+      render();
+      interval = setInterval(() => {
+        i = (i + 1) % frames.length;
+        render();
+      }, 80);
+    };
+
+    const spinner = {
+      // Clear the spinner line while something else prompts (e.g. for a sudo password)
+      pause: () => {
+        clearInterval(interval);
+        clear();
+      },
+      resume: start,
+      // Output of the command being waited for - drawn with the next frame
+      output: (text) => {
+        const lines = (partial + text).split('\n');
+        partial = lines.pop();
+        tail = [...tail, ...lines].slice(-tailLines);
+      },
+      // success null: just remove the spinner
       stop: (success = true) => {
         clearInterval(interval);
-        process.stdout.clearLine(0);
-        process.stdout.cursorTo(0);
+        this.activeSpinner = null;
+        clear();
+        if (success === null) return;
         if (success) {
           console.log(chalk.green(`✓ ${message}`));
         } else {
@@ -258,6 +706,24 @@ export class CLI {
         }
       },
     };
+
+    start();
+    this.activeSpinner = spinner;
+    return spinner;
+  }
+
+  /**
+   * A line of command output as a terminal would leave it: progress bars
+   * redraw with \r, so only the text after the last one counts; escape
+   * sequences and other control characters are dropped
+   */
+  displayLine(line) {
+    const segments = line.split('\r').filter(Boolean);
+    return (segments.pop() || '')
+      .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '')
+      .replace(/\t/g, '    ')
+      .replace(/[\x00-\x1f\x7f]/g, '')
+      .trimEnd();
   }
 
   /**
@@ -355,6 +821,120 @@ export class CLI {
     return cleanup;
   }
 
+  /**
+   * Hand the terminal to an interactive remote program: raw keystrokes go to
+   * onInput, terminal resizes to onResize, until the returned cleanup is called
+   * @param {function(Buffer): void} onInput - Receives every keystroke unchanged
+   * @param {function(number, number): void} onResize - Receives rows and columns
+   * @returns {function} - Gives the terminal back to readline
+   * @throws {Error} - If stdin is not a terminal (raw keystrokes need one)
+   */
+  startPassthrough(onInput, onResize) {
+    const stdin = process.stdin;
+    const stdout = process.stdout;
+
+    if (!stdin.isTTY) {
+      throw new Error('Interactive programs need a terminal, and stdin is not one');
+    }
+
+    if (this.rl) {
+      this.rl.pause();
+    }
+
+    const existingListeners = stdin.listeners('data');
+    stdin.removeAllListeners('data');
+
+    stdin.setRawMode(true);
+    stdin.resume();
+
+    const onData = (data) => onInput(data);
+    const onWindowChange = () => onResize(stdout.rows, stdout.columns);
+
+    stdin.on('data', onData);
+    stdout.on('resize', onWindowChange);
+
+    let cleaned = false;
+
+    return () => {
+      if (cleaned) return;
+      cleaned = true;
+
+      stdin.removeListener('data', onData);
+      stdout.removeListener('resize', onWindowChange);
+      stdin.setRawMode(false);
+
+      for (const listener of existingListeners) {
+        stdin.on('data', listener);
+      }
+
+      // Leave full-screen programs' terminal modes behind: show the cursor,
+      // reset colors and start on a fresh line
+      stdout.write('\x1b[?25h\x1b[0m\n');
+
+      setTimeout(() => {
+        if (this.rl) {
+          this.rl.resume();
+        }
+      }, 10);
+    };
+  }
+
+  /**
+   * Step aside for a local interactive program that reads the terminal itself:
+   * readline stops reading until the returned function is called
+   * @returns {function} - Gives the terminal back to readline
+   */
+  releaseTerminal() {
+    const stdin = process.stdin;
+
+    if (this.rl) {
+      this.rl.pause();
+    }
+
+    const existingListeners = stdin.listeners('data');
+    stdin.removeAllListeners('data');
+    if (stdin.isTTY) {
+      stdin.setRawMode(false);
+    }
+    stdin.pause();
+
+    let restored = false;
+
+    return () => {
+      if (restored) return;
+      restored = true;
+
+      for (const listener of existingListeners) {
+        stdin.on('data', listener);
+      }
+      process.stdout.write('\x1b[?25h\x1b[0m\n');
+
+      if (this.rl) {
+        this.rl.resume();
+      }
+    };
+  }
+
+  /**
+   * Print interactive session header
+   */
+  printInteractiveHeader(command) {
+    console.log();
+    console.log(chalk.magenta.bold('┌─ Interactive ───────────────────────────────────────'));
+    console.log(chalk.magenta('│  ') + chalk.white.bold('$ ' + command));
+    console.log(chalk.magenta('│  ') + chalk.yellow('You have the keyboard - Klaus continues when the program exits'));
+    console.log(chalk.magenta.bold('└─────────────────────────────────────────────────────'));
+  }
+
+  /**
+   * Print interactive session footer
+   */
+  printInteractiveFooter(exitCode) {
+    const color = exitCode === 0 ? chalk.magenta : chalk.red;
+    console.log(color.bold(`── Back in Klaus (exit code ${exitCode}) ──────────────────────────────`));
+    console.log();
+  }
+
   /**
    * Close the CLI
    */
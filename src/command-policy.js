@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RiskAnalyzer } from './risk-analyzer.js';
+
+/**
+ * Allow/deny rules for commands, enforced before the user is asked to confirm
+ *
+ * Policy file (~/.klaus/policy.json):
+ * {
+ *   "rules": [
+ *     { "action": "deny", "regex": "\\brm\\s+-rf\\s+/\\s*$", "reason": "never wipe the root" },
+ *     { "action": "allow_without_confirm", "glob": "systemctl status *" },
+ *     { "action": "require_typed_confirm", "glob": "systemctl restart *" }
+ *   ],
+ *   "hosts": {
+ *     "db-01": {
+ *       "allowSudo": false,
+ *       "rules": [
+ *         { "action": "deny", "glob": "*pg_ctl*stop*", "reason": "use the failover runbook" }
+ *       ]
+ *     }
+ *   }
+ * }
+ *
+ * A rule matches with "regex" (searched anywhere in the command) or "glob"
+ * (matched against the whole command). "sudo": true limits a rule to commands
+ * that run with sudo. When several rules match, deny beats
+ * require_typed_confirm beats allow_without_confirm.
+ *
+ * Command lines with several commands (;, &&, ||, |) are checked command by
+ * command: deny and require_typed_confirm apply if the whole line or any of
+ * its commands matches, allow_without_confirm only if every one of them
+ * matches an allow rule - and never with command substitution or output
+ * redirected into a file.
+ */
+export class CommandPolicy {
+  constructor(options = {}) {
+    const filePath = options.filePath
+      || process.env.KLAUS_POLICY_FILE
+      || path.join(os.homedir(), '.klaus', 'policy.json');
+    this.filePath = filePath.replace(/^~/, os.homedir());
+    this.logFile = options.logFile || path.join('./logs', 'policy.log');
+
+    this.actions = ['allow_without_confirm', 'require_typed_confirm', 'deny'];
+    this.rules = [];
+    this.hosts = {};
+    this.error = null;
+    this.riskAnalyzer = new RiskAnalyzer();
+  }
+
+  /**
+   * Load (or reload) the policy file. A missing file means no rules; an
+   * invalid file makes every command denied until it is fixed.
+   */
+  async load() {
+    this.rules = [];
+    this.hosts = {};
+    this.error = null;
+
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf-8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.error = `Cannot read policy file ${this.filePath}: ${err.message}`;
+      }
+      return;
+    }
+
+    try {
+      const data = JSON.parse(raw);
+      this.rules = (data.rules || []).map(r => this.compileRule(r));
+      for (const [host, hostPolicy] of Object.entries(data.hosts || {})) {
+        this.hosts[host] = {
+          allowSudo: hostPolicy.allowSudo !== false,
+          rules: (hostPolicy.rules || []).map(r => this.compileRule(r)),
+        };
+      }
+    } catch (err) {
+      this.rules = [];
+      this.hosts = {};
+      this.error = `Invalid policy file ${this.filePath}: ${err.message}`;
+    }
+  }
+
+  /**
+   * Validate a rule and turn its pattern into a RegExp
+   */
+  compileRule(rule) {
+    if (!this.actions.includes(rule.action)) {
+      throw new Error(`unknown action "${rule.action}"`);
+    }
+
+    let regex;
+    if (rule.regex) {
+      regex = new RegExp(rule.regex);
+    } else if (rule.glob) {
+      regex = this.globToRegExp(rule.glob);
+    } else {
+      throw new Error('rule needs a "regex" or "glob" pattern');
+    }
+
+    return {
+      action: rule.action,
+      pattern: rule.regex || rule.glob,
+      regex,
+      sudoOnly: rule.sudo === true,
+      reason: rule.reason || '',
+    };
+  }
+
+  /**
+   * Convert a glob (* and ?) into an anchored RegExp
+   */
+  globToRegExp(glob) {
+    const source = glob
+      .split('')
+      .map(ch => {
+        if (ch === '*') return '.*';
+        if (ch === '?') return '.';
+        return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Decide what to do with a command
+   * @param {string} command - The command as proposed by the LLM
+   * @param {Object} context
+   * @param {string} context.host - Session or host profile name
+   * @param {boolean} context.sudo - Whether it runs with sudo
+   * @returns {{action: string, reason: string, pattern: string|null}} - action is
+   *   deny, require_typed_confirm, allow_without_confirm or confirm (no rule matched)
+   */
+  evaluate(command, { host, sudo = false }) {
+    if (this.error) {
+      return { action: 'deny', reason: this.error, pattern: null };
+    }
+
+    const hostPolicy = this.hosts[host];
+    if (sudo && hostPolicy && !hostPolicy.allowSudo) {
+      return { action: 'deny', reason: `sudo is not allowed on ${host}`, pattern: null };
+    }
+
+    const rules = [...(hostPolicy?.rules || []), ...this.rules].filter(rule => sudo || !rule.sudoOnly);
+    const parts = this.simpleCommands(command);
+    const candidates = [command.trim(), ...parts];
+
+    let match = null;
+    for (const rule of rules) {
+      if (rule.action === 'allow_without_confirm') continue;
+      if (!candidates.some(c => rule.regex.test(c))) continue;
+      if (!match || this.actions.indexOf(rule.action) > this.actions.indexOf(match.action)) {
+        match = rule;
+      }
+    }
+
+    if (!match) {
+      match = this.allowRuleFor(command, parts, rules);
+    }
+
+    if (!match) {
+      return { action: 'confirm', reason: '', pattern: null };
+    }
+
+    return {
+      action: match.action,
+      reason: match.reason || `matches policy rule ${match.pattern}`,
+      pattern: match.pattern,
+    };
+  }
+
+  /**
+   * The allow_without_confirm rule that lets a command run without asking:
+   * every simple command in it has to match one
+   * @returns {Object|null} - The rule (for several commands, the one of the first)
+   */
+  allowRuleFor(command, parts, rules) {
+    const allowRules = rules.filter(rule => rule.action === 'allow_without_confirm');
+    if (allowRules.length === 0 || parts.length === 0 || this.hasHiddenEffects(command)) {
+      return null;
+    }
+
+    // A single command is matched as written, quotes included
+    const subjects = parts.length === 1 ? [[command.trim(), parts[0]]] : parts.map(part => [part]);
+    let first = null;
+    for (const forms of subjects) {
+      const rule = allowRules.find(r => forms.some(form => r.regex.test(form)));
+      if (!rule) return null;
+      first = first || rule;
+    }
+    return first;
+  }
+
+  /**
+   * Whether a command does more than its words show: command or process
+   * substitution, or output redirected into a file
+   */
+  hasHiddenEffects(command) {
+    if (/`|\$\(|[<>]\(/.test(command)) {
+      return true;
+    }
+    return />/.test(this.withoutHarmlessRedirections(command));
+  }
+
+  /**
+   * A command without the redirections that write no file (2>&1, >/dev/null)
+   */
+  withoutHarmlessRedirections(command) {
+    return command
+      .replace(/\d*>&\d+/g, ' ')
+      .replace(/(\d|&)?>>?\s*\/dev\/null\b/g, ' ');
+  }
+
+  /**
+   * The simple commands of a command line (split at ; && || | and newlines),
+   * each as its words joined by single spaces
+   */
+  simpleCommands(command) {
+    return this.riskAnalyzer.splitCommands(this.withoutHarmlessRedirections(command))
+      .map(words => words.join(' '));
+  }
+
+  /**
+   * Append a policy decision to the policy log
+   */
+  async logDecision(command, context, decision) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      host: context.host,
+      sudo: context.sudo || false,
+      command,
+      action: decision.action,
+      rule: decision.pattern,
+      reason: decision.reason,
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.appendFile(this.logFile, JSON.stringify(entry) + '\n', 'utf-8');
+    } catch (error) {
+      console.error('Failed to write policy log:', error.message);
+    }
+  }
+}
+
+export default CommandPolicy;
@@ -9,6 +9,9 @@ export class ContextManager {
     // Claude's context window - we'll use half of it
     this.maxContextTokens = options.maxContextTokens || 100000; // ~200k model, use 100k
     this.halfContext = this.maxContextTokens / 2;
+
+    // Budget for the messages payload sent to the API; compaction halves it
+    this.messageBudget = this.maxContextTokens * 0.33;
     
     // Approximate tokens per character (rough estimate)
     this.tokensPerChar = 0.25;
@@ -17,11 +20,35 @@ export class ContextManager {
     this.messages = []; // Conversation messages for API
     this.communicationLog = []; // Human-readable log
     this.commandLog = []; // Command output log
+
+    // The user's latest request - commands are logged with the goal they served
+    this.currentGoal = '';
+
+    // Rolling LLM summary of compacted conversation, pinned as messages[0]
+    this.summary = '';
+    this.needsSummary = false;
     
-    // File paths for persistence
+    // File paths for persistence - one directory per session below the host's log dir
     this.logDir = options.logDir || './logs';
-    this.commLogFile = path.join(this.logDir, 'communication.log');
-    this.cmdLogFile = path.join(this.logDir, 'commands.log');
+    this.sessionId = options.sessionId || ContextManager.newSessionId();
+    this.setSessionDir(path.join(this.logDir, this.sessionId));
+  }
+
+  /**
+   * Create a sortable, filesystem-safe session id from the current time
+   */
+  static newSessionId() {
+    return new Date().toISOString().replace(/:/g, '-').replace(/\..+$/, '');
+  }
+
+  /**
+   * Point all log files at a session directory
+   */
+  setSessionDir(sessionDir) {
+    this.sessionDir = sessionDir;
+    this.commLogFile = path.join(sessionDir, 'communication.log');
+    this.cmdLogFile = path.join(sessionDir, 'commands.log');
+    this.stateFile = path.join(sessionDir, 'session.json');
   }
 
   /**
@@ -36,13 +63,16 @@ export class ContextManager {
 
   /**
    * Add a message to the conversation
+   * @returns {Object} - The message (see rollbackTo())
    */
   addMessage(role, content) {
-    this.messages.push({ role, content });
+    const message = { role, content };
+    this.messages.push(message);
     
     // Also add to human-readable log
     const timestamp = new Date().toISOString();
     if (role === 'user' && typeof content === 'string') {
+      this.currentGoal = content;
       this.communicationLog.push({
         timestamp,
         role: 'User',
@@ -64,18 +94,93 @@ export class ContextManager {
 
     // Check if compaction is needed
     this.checkAndCompact();
+    return message;
+  }
+
+  /**
+   * Take back the end of the conversation, e.g. a turn the API never answered
+   * @param {Object} message - As returned by addMessage()
+   * @param {Object} [options]
+   * @param {boolean} [options.inclusive] - Remove the message itself too (default true)
+   * @returns {boolean} - false if the message is no longer in the conversation
+   */
+  rollbackTo(message, { inclusive = true } = {}) {
+    const index = this.messages.lastIndexOf(message);
+    if (index === -1) return false;
+    this.messages = this.messages.slice(0, inclusive ? index : index + 1);
+    return true;
+  }
+
+  /**
+   * Set the goal that following commands are logged with, for commands that
+   * don't come from a user message (e.g. a runbook replay)
+   */
+  setGoal(goal) {
+    this.currentGoal = goal;
   }
 
   /**
    * Add command output to the log
+   * @param {string} command - The command as approved (without the sudo wrapper)
+   * @param {string} output - stdout and stderr
+   * @param {number} exitCode - Exit code
+   * @param {Object} [details]
+   * @param {Date} [details.executedAt] - When it ran (default now)
+   * @param {string} [details.explanation] - Klaus's explanation of the step
+   * @param {boolean} [details.sudo] - Whether it ran with sudo
+   * @param {boolean} [details.streaming] - Whether it was a streaming command
+   * @param {boolean} [details.interactive] - Whether it ran as an interactive program in a PTY
+   * @param {string} [details.tool] - The file tool for tool calls that are not shell commands (write_file)
+   * @param {string} [details.backup] - Backup directory on the host with the files as they were before
+   * @param {string} [details.group] - Host group for fan-out commands
+   * @param {string} [details.target] - Container or pod it ran in (see /target)
+   * @param {boolean} [details.undo] - Whether it was a /undo restore rather than a step of the task
+   * @param {number} [details.timeout] - Time limit in seconds, if it ran with other than the default
    */
-  addCommandOutput(command, output, exitCode, executedAt = new Date()) {
+  addCommandOutput(command, output, exitCode, { executedAt = new Date(), explanation = '', sudo = false, streaming = false, interactive = false, group, tool, backup, target, undo, timeout } = {}) {
     this.commandLog.push({
       timestamp: executedAt.toISOString(),
       command,
       output,
       exitCode,
       success: exitCode === 0,
+      status: 'executed',
+      explanation,
+      sudo,
+      streaming,
+      interactive,
+      group,
+      tool,
+      backup,
+      target,
+      undo,
+      timeout,
+      goal: this.currentGoal,
+    });
+
+    this.checkAndCompact();
+  }
+
+  /**
+   * Log a command that was proposed but not executed
+   * @param {string} command - The command
+   * @param {string} status - 'declined' (by the user) or 'refused' (by policy)
+   * @param {Object} [details]
+   * @param {string} [details.explanation] - Klaus's explanation of the step
+   * @param {boolean} [details.sudo] - Whether it would have run with sudo
+   * @param {string} [details.reason] - Why it was not executed
+   */
+  addSkippedCommand(command, status, { explanation = '', sudo = false, reason = '' } = {}) {
+    this.commandLog.push({
+      timestamp: new Date().toISOString(),
+      command,
+      output: reason,
+      exitCode: null,
+      success: false,
+      status,
+      explanation,
+      sudo,
+      goal: this.currentGoal,
     });
 
     this.checkAndCompact();
@@ -93,7 +198,9 @@ export class ContextManager {
    */
   getCommunicationLogString() {
     return this.communicationLog
-      .map(entry => `[${entry.timestamp}] ${entry.role}:\n${entry.content}`)
+      .map(entry => entry.role === 'Summary'
+        ? `=== SUMMARY OF EARLIER CONVERSATION (condensed ${entry.timestamp}) ===\n${entry.content}\n=== END OF SUMMARY ===`
+        : `[${entry.timestamp}] ${entry.role}:\n${entry.content}`)
       .join('\n\n---\n\n');
   }
 
@@ -103,8 +210,13 @@ export class ContextManager {
   getCommandLogString() {
     return this.commandLog
       .map(entry => {
+        const prefix = `${entry.group ? `[group ${entry.group}] ` : ''}${entry.target ? `[${entry.target}] ` : ''}${entry.sudo ? 'sudo ' : ''}`;
+        if (entry.status === 'declined' || entry.status === 'refused') {
+          return `[${entry.timestamp}] ⊘ $ ${prefix}${entry.command}\nNot executed (${entry.status})${entry.output ? `: ${entry.output}` : ''}`;
+        }
         const status = entry.success ? '✓' : '✗';
-        return `[${entry.timestamp}] ${status} $ ${entry.command}\nExit: ${entry.exitCode}\n${entry.output}`;
+        const backup = entry.backup ? `\nBackup: ${entry.backup}` : '';
+        return `[${entry.timestamp}] ${status} $ ${prefix}${entry.command}\nExit: ${entry.exitCode}${backup}\n${entry.output}`;
       })
       .join('\n\n---\n\n');
   }
@@ -113,9 +225,9 @@ export class ContextManager {
    * Check context size and compact if needed
    */
   checkAndCompact() {
-    const commLogTokens = this.estimateTokens(this.getCommunicationLogString());
+    const messageTokens = this.estimateTokens(this.messages);
     const cmdLogTokens = this.estimateTokens(this.getCommandLogString());
-    const totalTokens = commLogTokens + cmdLogTokens;
+    const totalTokens = messageTokens + cmdLogTokens;
 
     // If total exceeds half the context, start compaction
     if (totalTokens > this.halfContext) {
@@ -126,13 +238,12 @@ export class ContextManager {
         const targetCmdTokens = cmdLogTokens / 2;
         this.compactCommandLog(targetCmdTokens);
       }
+    }
 
-      // If communication log alone is > 33% of context, we'd need LLM compaction
-      // For MVP, we'll just trim older messages
-      const newCommTokens = this.estimateTokens(this.getCommunicationLogString());
-      if (newCommTokens > this.maxContextTokens * 0.33) {
-        this.compactCommunicationLog();
-      }
+    // If the conversation alone is > 33% of context, it gets summarized by the
+    // LLM - that is async, so it happens in compactIfNeeded() before the next API call
+    if (messageTokens > this.messageBudget) {
+      this.needsSummary = true;
     }
   }
 
@@ -149,32 +260,168 @@ export class ContextManager {
     }
   }
 
+  /**
+   * Summarize the communication log if checkAndCompact() asked for it
+   * @param {function(string, string): Promise<string>} summarize - Gets the conversation
+   *   to condense and the previous summary, returns the new summary
+   * @returns {Promise<boolean>} - true if the context was compacted; false
+   *   if summarizing failed, which keeps the messages and tries again next time
+   */
+  async compactIfNeeded(summarize) {
+    if (!this.needsSummary) {
+      return false;
+    }
+    this.needsSummary = false;
+
+    const dropped = this.compactCommunicationLog();
+    if (dropped.length === 0) {
+      return false;
+    }
+
+    let summary;
+    try {
+      summary = await summarize(this.renderMessagesForSummary(dropped), this.summary);
+    } catch (err) {
+      // Without a summary the messages are the only record of why things were done
+      this.messages.splice(this.summary ? 1 : 0, 0, ...dropped);
+      this.needsSummary = true;
+      console.error('Failed to summarize conversation, older messages are kept until it works:', err.message);
+      return false;
+    }
+
+    this.setSummary(summary);
+    return true;
+  }
+
   /**
    * Compact communication log by removing older entries
-   * In a more advanced version, this would use LLM summarization
+   * @returns {Array} - The API messages that were removed
    */
   compactCommunicationLog() {
     // Keep at least the last 10 exchanges
     const minKeep = 20;
-    
+
     while (this.communicationLog.length > minKeep) {
       this.communicationLog.shift();
     }
 
-    // Also compact the API messages array
-    // Keep system context but remove old exchanges
-    while (this.messages.length > minKeep) {
+    // Also compact the API messages array: drop whole turns, oldest first, until
+    // the payload is down to half its budget. The pinned summary and the latest
+    // turn always stay.
+    const pinned = this.summary ? 1 : 0;
+    const target = this.messageBudget / 2;
+    let cut = pinned;
+    for (const start of this.getTurnStarts()) {
+      if (start === cut) continue;
+      if (this.estimateTokens(this.messages.slice(cut)) <= target) break;
+      cut = start;
+    }
+
+    const dropped = this.messages.slice(pinned, cut);
+    this.messages = [...this.messages.slice(0, pinned), ...this.messages.slice(cut)];
+
+    return dropped;
+  }
+
+  /**
+   * Indexes of the messages that start a conversation turn. Cutting anywhere
+   * else could separate a tool_use from its tool_result, which the API rejects.
+   */
+  getTurnStarts() {
+    const starts = [];
+    for (let i = this.summary ? 1 : 0; i < this.messages.length; i++) {
+      if (this.isTurnStart(this.messages[i])) {
+        starts.push(i);
+      }
+    }
+    return starts;
+  }
+
+  /**
+   * A turn starts with a user message that is not a tool_result
+   */
+  isTurnStart(message) {
+    if (message.role !== 'user') return false;
+    if (typeof message.content === 'string') return true;
+    return !message.content.some(b => b.type === 'tool_result');
+  }
+
+  /**
+   * Pin a summary of the compacted conversation as the first message, and mark
+   * it in the communication log
+   */
+  setSummary(summary) {
+    if (this.summary) {
       this.messages.shift();
+      this.communicationLog = this.communicationLog.filter(e => e.role !== 'Summary');
+    }
+
+    this.summary = summary;
+    this.messages.unshift({
+      role: 'user',
+      content: `[Summary of the earlier conversation, condensed to save context]\n${summary}`,
+    });
+    this.communicationLog.unshift({
+      timestamp: new Date().toISOString(),
+      role: 'Summary',
+      content: summary,
+    });
+  }
+
+  /**
+   * Render API messages as plain text for the summarizer
+   */
+  renderMessagesForSummary(messages) {
+    const lines = [];
+    for (const message of messages) {
+      const speaker = message.role === 'user' ? 'User' : 'Klaus';
+      const blocks = typeof message.content === 'string'
+        ? [{ type: 'text', text: message.content }]
+        : message.content;
+
+      for (const block of blocks) {
+        if (block.type === 'text') {
+          lines.push(`${speaker}: ${block.text}`);
+        } else if (block.type === 'tool_use') {
+          lines.push(`Klaus ran (${block.name}): ${JSON.stringify(block.input)}`);
+        } else if (block.type === 'tool_result') {
+          const content = typeof block.content === 'string' ? block.content : JSON.stringify(block.content);
+          lines.push(`Result: ${content.length > 500 ? content.slice(0, 500) + '...' : content}`);
+        }
+      }
     }
+    return lines.join('\n');
   }
 
   /**
-   * Save logs to disk
+   * Save logs to disk: the human-readable logs plus session.json, which holds
+   * everything needed to resume the session
+   * @param {Object} metadata - Extra session info stored in session.json
    */
-  async saveLogs() {
+  async saveLogs(metadata = {}) {
+    // Don't leave empty session directories behind
+    if (this.messages.length === 0 && this.commandLog.length === 0) {
+      return;
+    }
+
     try {
-      await fs.mkdir(this.logDir, { recursive: true });
-      
+      await fs.mkdir(this.sessionDir, { recursive: true });
+
+      await fs.writeFile(
+        this.stateFile,
+        JSON.stringify({
+          version: 1,
+          sessionId: this.sessionId,
+          updatedAt: new Date().toISOString(),
+          ...metadata,
+          summary: this.summary,
+          messages: this.messages,
+          communicationLog: this.communicationLog,
+          commandLog: this.commandLog,
+        }, null, 2),
+        'utf-8'
+      );
+
       await fs.writeFile(
         this.commLogFile,
         this.getCommunicationLogString(),
@@ -192,16 +439,99 @@ export class ContextManager {
   }
 
   /**
-   * Load logs from disk (for session resumption)
+   * Load logs from disk (for session resumption). Later saves go to the
+   * resumed session's directory.
+   * @param {string} sessionDir - Directory of the saved session
+   * @returns {Promise<Object|false>} - The saved metadata, or false if nothing could be loaded
    */
-  async loadLogs() {
+  async loadLogs(sessionDir) {
+    let state;
     try {
-      // For MVP, we start fresh each session
-      // Future: parse and restore logs
-      return false;
+      state = JSON.parse(await fs.readFile(path.join(sessionDir, 'session.json'), 'utf-8'));
     } catch {
       return false;
     }
+
+    this.messages = state.messages || [];
+    this.communicationLog = state.communicationLog || [];
+    this.commandLog = state.commandLog || [];
+    this.summary = state.summary || '';
+    this.currentGoal = [...this.communicationLog].reverse().find(e => e.role === 'User')?.content || '';
+    this.repairMessages();
+
+    this.sessionId = state.sessionId || path.basename(sessionDir);
+    this.setSessionDir(sessionDir);
+
+    const { messages, communicationLog, commandLog, summary, ...metadata } = state;
+    return metadata;
+  }
+
+  /**
+   * Close a conversation that ended mid-turn (e.g. Klaus crashed while a
+   * command was running), so the API accepts it again
+   */
+  repairMessages() {
+    const last = this.messages[this.messages.length - 1];
+    if (!last) return;
+
+    if (last.role === 'assistant' && Array.isArray(last.content)) {
+      const toolUses = last.content.filter(b => b.type === 'tool_use');
+      if (toolUses.length > 0) {
+        this.messages.push({
+          role: 'user',
+          content: toolUses.map(b => ({
+            type: 'tool_result',
+            tool_use_id: b.id,
+            content: 'The session was interrupted before this finished. The result is unknown - check the current state before continuing.',
+          })),
+        });
+      }
+    }
+
+    if (this.messages[this.messages.length - 1].role === 'user') {
+      this.messages.push({
+        role: 'assistant',
+        content: '(The session was interrupted here.)',
+      });
+    }
+  }
+
+  /**
+   * List the saved sessions in a host's log directory, newest first
+   * @param {string} logDir - The host's log directory
+   */
+  static async listSavedSessions(logDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(logDir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const sessions = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const dir = path.join(logDir, entry.name);
+      try {
+        const state = JSON.parse(await fs.readFile(path.join(dir, 'session.json'), 'utf-8'));
+        const lastGoal = [...(state.communicationLog || [])].reverse().find(e => e.role === 'User');
+        sessions.push({
+          id: state.sessionId || entry.name,
+          dir,
+          name: state.name,
+          target: state.target,
+          updatedAt: state.updatedAt,
+          messageCount: (state.messages || []).length,
+          commandCount: (state.commandLog || []).length,
+          lastGoal: lastGoal?.content || '',
+        });
+      } catch {
+        // Not a saved session (or an unreadable one)
+      }
+    }
+
+    return sessions.sort((a, b) => b.id.localeCompare(a.id));
   }
 
   /**
@@ -211,21 +541,27 @@ export class ContextManager {
     this.messages = [];
     this.communicationLog = [];
     this.commandLog = [];
+    this.summary = '';
+    this.needsSummary = false;
+    this.currentGoal = '';
   }
 
   /**
    * Get a summary of current context usage
    */
   getContextStats() {
+    const messageTokens = this.estimateTokens(this.messages);
     const commTokens = this.estimateTokens(this.getCommunicationLogString());
     const cmdTokens = this.estimateTokens(this.getCommandLogString());
-    
+
+    // Usage is measured on what is actually sent to the API; 100% triggers compaction
     return {
+      messageTokens,
       communicationLogTokens: commTokens,
       commandLogTokens: cmdTokens,
-      totalTokens: commTokens + cmdTokens,
-      maxTokens: this.halfContext,
-      usagePercent: ((commTokens + cmdTokens) / this.halfContext * 100).toFixed(1),
+      totalTokens: messageTokens,
+      maxTokens: Math.round(this.messageBudget),
+      usagePercent: (messageTokens / this.messageBudget * 100).toFixed(1),
     };
   }
 }
@@ -0,0 +1,112 @@
+/**
+ * A container or Kubernetes pod on the connected host that commands run in
+ * instead of the host itself. Commands are wrapped in docker exec / kubectl
+ * exec here, so neither the LLM nor the user has to quote them for sh -c.
+ */
+export class ExecTarget {
+  /**
+   * @param {Object} spec
+   * @param {string} spec.type - 'container' or 'pod'
+   * @param {string} spec.name - Container or pod name
+   * @param {string} [spec.namespace] - Pod namespace (default "default")
+   */
+  constructor({ type, name, namespace }) {
+    this.type = type;
+    this.name = name;
+    this.namespace = type === 'pod' ? (namespace || 'default') : undefined;
+  }
+
+  /**
+   * The docker CLI on the host (KLAUS_DOCKER, e.g. podman)
+   */
+  static get docker() {
+    return process.env.KLAUS_DOCKER || 'docker';
+  }
+
+  /**
+   * The kubectl CLI on the host (KLAUS_KUBECTL, e.g. "k3s kubectl")
+   */
+  static get kubectl() {
+    return process.env.KLAUS_KUBECTL || 'kubectl';
+  }
+
+  /**
+   * Host commands that list the possible targets, one line each: docker
+   * separates the columns with tabs, kubectl with spaces
+   * @returns {{containers: string, pods: string}}
+   */
+  static listCommands() {
+    return {
+      containers: `${ExecTarget.docker} ps --format '{{.Names}}\t{{.Image}}\t{{.Status}}'`,
+      pods: `${ExecTarget.kubectl} get pods -A --no-headers -o custom-columns='NS:.metadata.namespace,NAME:.metadata.name,STATUS:.status.phase'`,
+    };
+  }
+
+  /**
+   * Read the output of one of the listCommands()
+   * @param {string} stdout - Command output
+   * @param {string[]} fields - Names of the columns
+   * @param {string|RegExp} separator - Column separator
+   * @returns {Object[]}
+   */
+  static parseList(stdout, fields, separator) {
+    return stdout
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        const values = line.trim().split(separator);
+        return Object.fromEntries(fields.map((field, i) => [field, values[i] || '']));
+      });
+  }
+
+  /**
+   * Parse the arguments of /target
+   * @param {string[]} args - ['container', '<name>'] or ['pod', '<namespace>/<pod>']
+   * @returns {ExecTarget}
+   */
+  static parse([type, spec]) {
+    if (type === 'container' && spec) {
+      return new ExecTarget({ type, name: spec });
+    }
+    if (type === 'pod' && spec) {
+      const [namespace, name] = spec.includes('/') ? spec.split('/', 2) : ['default', spec];
+      if (!namespace || !name) {
+        throw new Error(`Invalid pod: ${spec} (expected <namespace>/<pod>)`);
+      }
+      return new ExecTarget({ type, name, namespace });
+    }
+    throw new Error('Usage: /target container <name> | /target pod <namespace>/<pod> | /target host');
+  }
+
+  /**
+   * "container nginx" or "pod web/api-0"
+   */
+  get label() {
+    return this.type === 'pod' ? `pod ${this.namespace}/${this.name}` : `container ${this.name}`;
+  }
+
+  /**
+   * The host command that runs a command inside the target
+   * @param {string} command - The command as approved by the user
+   * @param {Object} [options]
+   * @param {boolean} [options.tty] - Allocate a terminal (interactive programs)
+   * @returns {string}
+   */
+  wrap(command, { tty = false } = {}) {
+    const flags = tty ? ' -it' : '';
+    const shell = `sh -c ${this.quote(command)}`;
+    if (this.type === 'pod') {
+      return `${ExecTarget.kubectl} exec${flags} -n ${this.quote(this.namespace)} ${this.quote(this.name)} -- ${shell}`;
+    }
+    return `${ExecTarget.docker} exec${flags} ${this.quote(this.name)} ${shell}`;
+  }
+
+  /**
+   * Quote a string for the host shell
+   */
+  quote(s) {
+    return `'${s.replace(/'/g, "'\\''")}'`;
+  }
+}
+
+export default ExecTarget;
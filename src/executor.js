@@ -0,0 +1,272 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+/**
+ * Runs commands on a target machine. SSHManager (remote hosts) and
+ * LocalExecutor (the machine Klaus runs on) implement this interface;
+ * everything else only talks to an Executor.
+ *
+ * Events: 'connected' (host), 'error' (err), 'disconnected'
+ */
+export class Executor extends EventEmitter {
+  constructor() {
+    super();
+    this.isConnected = false;
+    this.remoteUid = null;
+    // Whether commands run on the machine Klaus itself runs on
+    this.isLocal = false;
+    // SHA256 fingerprint of the SSH host key, OpenSSH style (null when not SSH)
+    this.hostKeyFingerprint = null;
+  }
+
+  /**
+   * Connect to the target
+   */
+  async connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  /**
+   * Disconnect from the target
+   */
+  disconnect() {
+    throw new Error(`${this.constructor.name} does not implement disconnect()`);
+  }
+
+  /**
+   * Execute a command
+   * @param {string} command - The bash command to execute
+   * @param {Object} options - Execution options
+   * @param {boolean} options.sudo - Whether to run with sudo
+   * @param {string} options.sudoPassword - Password for sudo (none: sudo -n, for NOPASSWD hosts)
+   * @param {number} options.timeout - Command timeout in ms (default 60000)
+   * @returns {Promise<{stdout: string, stderr: string, exitCode: number, sudoError: string|null}>} -
+   *   sudoError is 'wrong_password' or 'password_required' when sudo did not accept the password
+   * @throws {Error} - From timeoutError() when the command timed out
+   */
+  async execute(command, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement execute()`);
+  }
+
+  /**
+   * Execute a command with continuous output (pm2 logs, tail -f, etc.)
+   * @param {string} command - The bash command to execute
+   * @param {Object} options - Execution options
+   * @param {boolean} options.sudo - Whether to run with sudo
+   * @param {string} options.sudoPassword - Password for sudo
+   * @param {function} options.onData - Callback for stdout data
+   * @param {function} options.onError - Callback for stderr data
+   * @returns {{abort: function, promise: Promise}} - abort interrupts the command (SIGINT,
+   *   then SIGTERM if it is still running after 500ms);
+   *   promise resolves with {stdout, stderr, exitCode, aborted, sudoError}
+   */
+  executeStreaming(command, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement executeStreaming()`);
+  }
+
+  /**
+   * The error execute() rejects with when a command times out; the command
+   * has been stopped, stdout and stderr hold its output until then
+   */
+  timeoutError(timeout, stdout, stderr) {
+    const err = new Error(`Command timed out after ${timeout}ms`);
+    err.timedOut = true;
+    err.stdout = stdout.trim();
+    err.stderr = stderr.trim();
+    return err;
+  }
+
+  /**
+   * Wrap a command in sudo. With a password, sudo prints a unique prompt marker
+   * on stderr and reads the password from the command's stdin, so the password
+   * never appears on the remote command line. -k makes sudo ask even when it
+   * has cached credentials, so the prompt always comes and stdin can be closed
+   * after the answer. Without a password, sudo -n fails instead of waiting
+   * for one (for NOPASSWD hosts).
+   * @returns {{fullCommand: string, marker: string|null}}
+   */
+  wrapSudo(command, sudo, sudoPassword) {
+    if (!sudo) {
+      return { fullCommand: command, marker: null };
+    }
+    if (!sudoPassword) {
+      return { fullCommand: `sudo -n ${command}`, marker: null };
+    }
+
+    const marker = this.newSudoMarker();
+    return { fullCommand: `sudo -k -S -p '${marker}' ${command}`, marker };
+  }
+
+  /**
+   * A prompt string that can't be mistaken for command output
+   */
+  newSudoMarker() {
+    return `[klaus-sudo-${crypto.randomBytes(8).toString('hex')}]`;
+  }
+
+  /**
+   * Answer sudo's password prompt on a command's stdin and detect rejected passwords.
+   * The prompt and sudo's messages may be split across chunks of stderr. Nothing
+   * else is typed, so stdin is closed once it is answered - or right away without
+   * a password, or at the first output if sudo didn't ask (a NOPASSWD rule) -
+   * and commands that read stdin get EOF instead of waiting for the time limit.
+   * @returns {{filter: function(string): string, output: function(): void, flush: function(): string, error: string|null}} -
+   *   filter removes the prompt marker from stderr text, holding back what may be the
+   *   start of one until the next chunk; output is told about stdout data; flush returns
+   *   the held-back rest once the command is done; error is set once sudo rejected the password
+   */
+  watchSudo(stream, marker, sudoPassword) {
+    let prompts = 0;
+    // Held back from the last chunk, and the end of what came before
+    let pending = '';
+    let recent = '';
+    let ended = false;
+    const endInput = () => {
+      if (!ended) {
+        ended = true;
+        stream.end();
+      }
+    };
+    if (!marker) {
+      endInput();
+    }
+
+    const watcher = {
+      error: null,
+      filter: (chunk) => {
+        let text = pending + chunk;
+        pending = '';
+        const seen = recent + chunk;
+        recent = seen.slice(-200);
+
+        if (!marker) {
+          if (/sudo: (a password is required|a terminal is required)/.test(seen)) {
+            watcher.error = 'password_required';
+          }
+          return text;
+        }
+
+        const count = text.split(marker).length - 1;
+        if (count > 0) {
+          prompts += count;
+          if (prompts === 1) {
+            // Answer once, then close stdin: a second prompt means the password
+            // was wrong and sudo gives up on EOF instead of waiting
+            stream.write(`${sudoPassword}\n`);
+            endInput();
+          } else {
+            watcher.error = 'wrong_password';
+          }
+        }
+        if (/incorrect password attempt/.test(seen)) {
+          watcher.error = 'wrong_password';
+        }
+
+        text = text.split(marker).join('');
+        for (let n = Math.min(marker.length - 1, text.length); n > 0; n--) {
+          if (text.endsWith(marker.slice(0, n))) {
+            pending = text.slice(-n);
+            return text.slice(0, -n);
+          }
+        }
+        return text;
+      },
+      // sudo asks before the command starts, so output means it won't ask any more
+      output: () => {
+        if (prompts === 0) {
+          endInput();
+        }
+      },
+      flush: () => {
+        const text = pending;
+        pending = '';
+        return text;
+      },
+    };
+    return watcher;
+  }
+
+  /**
+   * The numeric uid of the user commands run as
+   */
+  async getRemoteUid() {
+    if (this.remoteUid === null) {
+      const result = await this.execute('id -u');
+      this.remoteUid = parseInt(result.stdout, 10);
+    }
+    return this.remoteUid;
+  }
+
+  /**
+   * Shell script for sudo that moves an uploaded temporary file over a file
+   * atomically, with the old file's mode and owner
+   * @param {string} uploadPath - The temporary file with the new contents
+   * @param {string} targetPath - The file to replace
+   * @param {Object|null} stat - statFile() of the current file, null for a new file
+   * @param {string} suffix - Unique suffix for the temporary file next to the target
+   */
+  replaceFileScript(uploadPath, targetPath, stat, suffix) {
+    const mode = stat ? stat.mode : 0o644;
+    const target = this.shellQuote(targetPath);
+    const tmpTarget = this.shellQuote(`${targetPath}.klaus-${suffix}`);
+    const steps = [
+      `cat ${this.shellQuote(uploadPath)} > ${tmpTarget}`,
+      `chmod ${mode.toString(8)} ${tmpTarget}`,
+      stat ? `chown ${stat.uid}:${stat.gid} ${tmpTarget}` : null,
+      `mv -f ${tmpTarget} ${target}`,
+    ].filter(Boolean).join(' && ');
+    return `${steps} || { rm -f ${tmpTarget}; exit 1; }`;
+  }
+
+  /**
+   * Quote a string for the target's shell
+   */
+  shellQuote(s) {
+    return `'${s.replace(/'/g, "'\\''")}'`;
+  }
+
+  /**
+   * Execute multiple commands in sequence
+   * @param {string[]} commands - Array of commands
+   * @param {Object} options - Same as execute options
+   * @returns {Promise<Array<{command: string, stdout: string, stderr: string, exitCode: number}>>}
+   */
+  async executeMany(commands, options = {}) {
+    const results = [];
+    
+    for (const command of commands) {
+      const result = await this.execute(command, options);
+      results.push({
+        command,
+        ...result,
+      });
+      
+      // Stop on non-zero exit code
+      if (result.exitCode !== 0) {
+        break;
+      }
+    }
+    
+    return results;
+  }
+
+  /**
+   * Test the connection with a simple command
+   */
+  async testConnection() {
+    try {
+      const result = await this.execute('echo "Connection OK" && whoami && hostname');
+      return {
+        success: result.exitCode === 0,
+        output: result.stdout,
+      };
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message,
+      };
+    }
+  }
+}
+
+export default Executor;
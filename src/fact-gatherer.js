@@ -0,0 +1,192 @@
+/**
+ * Collects what Klaus should know about a host before it plans anything:
+ * OS, kernel, package manager, init system, running services, listening
+ * ports, disk, memory and container runtimes. One read-only shell probe,
+ * parsed into structured facts.
+ */
+export class FactGatherer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxServices] - Running services kept (default 60)
+   * @param {number} [options.maxPorts] - Listening ports kept (default 40)
+   */
+  constructor(options = {}) {
+    this.maxServices = options.maxServices || 60;
+    this.maxPorts = options.maxPorts || 40;
+    this.packageManagers = ['apt-get', 'dnf', 'yum', 'zypper', 'pacman', 'apk', 'emerge'];
+    this.containerRuntimes = ['docker', 'podman', 'containerd', 'k3s', 'kubectl', 'lxc'];
+  }
+
+  /**
+   * The probe: POSIX sh, read-only, every section introduced by an "@@name" line.
+   * Missing tools just leave a section empty.
+   */
+  probeScript() {
+    return [
+      'echo @@os; cat /etc/os-release 2>/dev/null',
+      'echo @@kernel; uname -srm',
+      `echo @@pkg; for p in ${this.packageManagers.join(' ')}; do command -v $p >/dev/null 2>&1 && echo $p; done`,
+      'echo @@init; cat /proc/1/comm 2>/dev/null; command -v rc-status >/dev/null 2>&1 && echo openrc',
+      'echo @@services; systemctl list-units --type=service --state=running --no-legend --no-pager --plain 2>/dev/null'
+        + ' || rc-status --servicelist 2>/dev/null',
+      'echo @@ports; ss -tulnpH 2>/dev/null || netstat -tulnp 2>/dev/null',
+      'echo @@disk; df -hP -x tmpfs -x devtmpfs -x overlay -x squashfs 2>/dev/null',
+      'echo @@memory; free -m 2>/dev/null',
+      `echo @@containers; for c in ${this.containerRuntimes.join(' ')}; do command -v $c >/dev/null 2>&1 && echo $c; done`,
+      'true',
+    ].join('\n');
+  }
+
+  /**
+   * Turn the probe output into facts
+   * @param {string} stdout - Output of probeScript()
+   * @returns {Object} - {gatheredAt, os, kernel, packageManager, init, services, ports, disks, memory, containerRuntimes}
+   */
+  parse(stdout) {
+    const sections = {};
+    let current = null;
+    for (const line of stdout.split('\n')) {
+      const header = line.match(/^@@(\w+)$/);
+      if (header) {
+        current = header[1];
+        sections[current] = [];
+      } else if (current && line.trim()) {
+        sections[current].push(line);
+      }
+    }
+    const section = (name) => sections[name] || [];
+
+    const osRelease = Object.fromEntries(section('os')
+      .map(line => line.match(/^(\w+)=("?)(.*)\2$/))
+      .filter(Boolean)
+      .map(([, key, , value]) => [key, value]));
+
+    const init = section('init');
+    const packageManager = section('pkg')[0];
+
+    return {
+      gatheredAt: new Date().toISOString(),
+      os: osRelease.PRETTY_NAME || [osRelease.NAME, osRelease.VERSION_ID].filter(Boolean).join(' ') || null,
+      osId: osRelease.ID || null,
+      osVersion: osRelease.VERSION_ID || null,
+      kernel: section('kernel')[0] || null,
+      packageManager: packageManager === 'apt-get' ? 'apt' : packageManager || null,
+      init: init.includes('openrc') ? 'openrc' : init[0] || null,
+      services: this.parseServices(section('services')),
+      ports: this.parsePorts(section('ports')),
+      disks: this.parseDisks(section('disk')),
+      memory: this.parseMemory(section('memory')),
+      containerRuntimes: section('containers'),
+    };
+  }
+
+  /**
+   * systemctl list-units (or rc-status) lines -> service names
+   */
+  parseServices(lines) {
+    return lines
+      .map(line => line.trim().split(/\s+/)[0].replace(/\.service$/, ''))
+      .filter(name => name && !/^(UNIT|Runlevel:)/.test(name))
+      .slice(0, this.maxServices);
+  }
+
+  /**
+   * ss -tulnpH (or netstat -tulnp) lines -> one entry per protocol and port
+   */
+  parsePorts(lines) {
+    const ports = new Map();
+    for (const line of lines) {
+      const fields = line.trim().split(/\s+/);
+      const proto = (fields[0] || '').replace(/6$/, '');
+      if (!/^(tcp|udp)$/.test(proto)) continue;
+
+      // ss: proto state recv send local peer [process]; netstat: proto recv send local foreign [state] [pid/program]
+      const isSs = !/^\d+$/.test(fields[1]);
+      const local = isSs ? fields[4] : fields[3];
+      if (!local || (isSs && proto === 'tcp' && fields[1] !== 'LISTEN')) continue;
+
+      const match = local.match(/^(.*):(\d+)$/);
+      if (!match) continue;
+      const [, address, port] = match;
+
+      const processMatch = isSs ? line.match(/users:\(\("([^"]+)"/) : line.match(/\s\d+\/([^\s:]+)/);
+      const key = `${proto}/${port}`;
+      const entry = ports.get(key) || { proto, port: parseInt(port, 10), addresses: [], process: null };
+      if (!entry.addresses.includes(address)) entry.addresses.push(address);
+      entry.process = entry.process || (processMatch ? processMatch[1] : null);
+      ports.set(key, entry);
+    }
+    return [...ports.values()]
+      .sort((a, b) => a.port - b.port || a.proto.localeCompare(b.proto))
+      .slice(0, this.maxPorts);
+  }
+
+  /**
+   * df -hP lines -> mounted filesystems
+   */
+  parseDisks(lines) {
+    return lines
+      .slice(1)
+      .map(line => line.trim().split(/\s+/))
+      .filter(fields => fields.length >= 6)
+      .map(([filesystem, size, used, available, usePercent, ...mount]) => ({
+        mount: mount.join(' '),
+        filesystem,
+        size,
+        used,
+        available,
+        usePercent,
+      }));
+  }
+
+  /**
+   * free -m lines -> memory and swap in MB
+   */
+  parseMemory(lines) {
+    const row = (label) => {
+      const line = lines.find(l => l.startsWith(label));
+      return line ? line.trim().split(/\s+/).slice(1).map(n => parseInt(n, 10)) : null;
+    };
+    const mem = row('Mem:');
+    if (!mem) return null;
+    const swap = row('Swap:');
+    return {
+      totalMb: mem[0],
+      usedMb: mem[1],
+      availableMb: mem[5] ?? mem[2],
+      swapTotalMb: swap ? swap[0] : 0,
+      swapUsedMb: swap ? swap[1] : 0,
+    };
+  }
+
+  /**
+   * Compact multi-line rendering for the system prompt and /facts
+   * @param {Object} facts - From parse()
+   * @returns {string}
+   */
+  render(facts) {
+    const gb = (mb) => `${(mb / 1024).toFixed(1)} GB`;
+    const lines = [];
+
+    lines.push(`OS: ${facts.os || 'unknown'}${facts.kernel ? ` (kernel ${facts.kernel})` : ''}`);
+    lines.push(`Package manager: ${facts.packageManager || 'unknown'}; init: ${facts.init || 'unknown'}`);
+    if (facts.memory) {
+      const { totalMb, usedMb, availableMb, swapTotalMb, swapUsedMb } = facts.memory;
+      lines.push(`Memory: ${gb(usedMb)} used of ${gb(totalMb)} (${gb(availableMb)} available); swap ${swapTotalMb ? `${gb(swapUsedMb)} of ${gb(swapTotalMb)}` : 'none'}`);
+    }
+    if (facts.disks.length > 0) {
+      lines.push(`Disk: ${facts.disks.map(d => `${d.mount} ${d.used}/${d.size} (${d.usePercent})`).join(', ')}`);
+    }
+    lines.push(`Container runtimes: ${facts.containerRuntimes.length > 0 ? facts.containerRuntimes.join(', ') : 'none'}`);
+    if (facts.ports.length > 0) {
+      lines.push(`Listening: ${facts.ports.map(p => `${p.proto}/${p.port}${p.process ? ` (${p.process})` : ''}`).join(', ')}`);
+    }
+    if (facts.services.length > 0) {
+      lines.push(`Running services (${facts.services.length}): ${facts.services.join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export default FactGatherer;
@@ -0,0 +1,90 @@
+import { SSHManager } from './ssh-manager.js';
+
+/**
+ * Runs one command on many hosts in parallel, each over its own SSH connection
+ */
+export class FanOutExecutor {
+  constructor(options = {}) {
+    // Maximum number of hosts worked on at the same time
+    this.concurrency = options.concurrency || 10;
+  }
+
+  /**
+   * Execute a command on all targets
+   * @param {Array<{name: string, sshConfig: Object}>} targets - Hosts to run on
+   * @param {string} command - The bash command to execute
+   * @param {Object} options - Same as SSHManager.execute options
+   * @returns {Promise<Array<{name: string, stdout: string, stderr: string, exitCode: number, error: string|null}>>}
+   */
+  async run(targets, command, options = {}) {
+    const results = new Array(targets.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < targets.length) {
+        const index = next++;
+        results[index] = await this.runOne(targets[index], command, options);
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, targets.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+  }
+
+  /**
+   * Connect to one host, execute the command and disconnect again
+   */
+  async runOne(target, command, options) {
+    const sshManager = new SSHManager();
+    // Connection errors are reported through the result, not as events
+    sshManager.on('error', () => {});
+
+    try {
+      await sshManager.connect(target.sshConfig);
+      const result = await sshManager.execute(command, options);
+      return { name: target.name, ...result, error: null };
+    } catch (err) {
+      // A timeout comes with the output until then
+      return {
+        name: target.name,
+        stdout: err.stdout || '',
+        stderr: err.stderr || '',
+        exitCode: null,
+        error: err.message,
+      };
+    } finally {
+      sshManager.disconnect();
+    }
+  }
+
+  /**
+   * Group results by identical output, largest group first
+   * @returns {Array<{hosts: string[], exitCode: number|null, stdout: string, stderr: string, error: string|null}>}
+   */
+  static groupResults(results) {
+    const groups = new Map();
+
+    for (const result of results) {
+      const key = JSON.stringify([result.exitCode, result.stdout, result.stderr, result.error]);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          hosts: [],
+          exitCode: result.exitCode,
+          stdout: result.stdout,
+          stderr: result.stderr,
+          error: result.error,
+        });
+      }
+      groups.get(key).hosts.push(result.name);
+    }
+
+    return [...groups.values()].sort((a, b) => b.hosts.length - a.hosts.length);
+  }
+}
+
+export default FanOutExecutor;
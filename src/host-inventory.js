@@ -0,0 +1,109 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Named host profiles loaded from the host inventory file (~/.klaus/hosts.json)
+ *
+ * File format:
+ * {
+ *   "hosts": {
+ *     "web-01": {
+ *       "host": "web-01.example.com",
+ *       "port": 22,
+ *       "username": "admin",
+ *       "keyPath": "~/.ssh/id_ed25519",
+ *       "tags": ["web", "prod"],
+ *       "systemDescription": "nginx reverse proxy for the shop",
+ *       "sudo": true
+ *     }
+ *   }
+ * }
+ */
+export class HostInventory {
+  constructor(options = {}) {
+    const filePath = options.filePath
+      || process.env.KLAUS_HOSTS_FILE
+      || path.join(os.homedir(), '.klaus', 'hosts.json');
+    this.filePath = filePath.replace(/^~/, os.homedir());
+    this.profiles = new Map();
+  }
+
+  /**
+   * Load (or reload) the inventory file
+   * @returns {Promise<boolean>} - false if the file does not exist
+   */
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        this.profiles = new Map();
+        return false;
+      }
+      throw new Error(`Cannot read host inventory ${this.filePath}: ${err.message}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`Invalid JSON in host inventory ${this.filePath}: ${err.message}`);
+    }
+
+    const hosts = data.hosts || {};
+    this.profiles = new Map();
+    for (const [name, profile] of Object.entries(hosts)) {
+      this.profiles.set(name, this.normalizeProfile(name, profile));
+    }
+    return true;
+  }
+
+  /**
+   * Fill in defaults and accept a few field aliases (user, key)
+   */
+  normalizeProfile(name, profile) {
+    return {
+      name,
+      host: profile.host || name,
+      port: parseInt(profile.port || 22),
+      username: profile.username || profile.user || '',
+      keyPath: profile.keyPath || profile.key || '',
+      tags: Array.isArray(profile.tags) ? profile.tags : [],
+      systemDescription: profile.systemDescription || '',
+      sudo: profile.sudo === true,
+    };
+  }
+
+  /**
+   * Get a profile by name
+   */
+  get(name) {
+    return this.profiles.get(name) || null;
+  }
+
+  /**
+   * List all profiles, optionally filtered by tag
+   */
+  list(tag) {
+    const profiles = [...this.profiles.values()];
+    if (!tag) return profiles;
+    return profiles.filter(p => p.tags.includes(tag));
+  }
+
+  /**
+   * Map of tag -> names of the profiles carrying it
+   */
+  groups() {
+    const groups = {};
+    for (const profile of this.profiles.values()) {
+      for (const tag of profile.tags) {
+        (groups[tag] ||= []).push(profile.name);
+      }
+    }
+    return groups;
+  }
+}
+
+export default HostInventory;
@@ -3,9 +3,26 @@
 import 'dotenv/config';
 import fs from 'fs/promises';
 import os from 'os';
-import { SSHManager } from './ssh-manager.js';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import ssh2 from 'ssh2';
 import { LLMClient } from './llm-client.js';
+import { HostInventory } from './host-inventory.js';
+import { Session } from './session.js';
+import { LocalExecutor } from './local-executor.js';
+import { ExecTarget } from './exec-target.js';
 import { ContextManager } from './context-manager.js';
+import { FanOutExecutor } from './fan-out.js';
+import { RiskAnalyzer } from './risk-analyzer.js';
+import { CommandPolicy } from './command-policy.js';
+import { RunbookExporter } from './runbook-exporter.js';
+import { RunbookParser } from './runbook-parser.js';
+import { TextDiff } from './text-diff.js';
+import { BackupManager } from './backup-manager.js';
+import { FactGatherer } from './fact-gatherer.js';
+import { NotesStore } from './notes-store.js';
+import { UsageTracker } from './usage-tracker.js';
+import { JobManager } from './job-manager.js';
 import { CLI } from './cli.js';
 
 /**
@@ -14,13 +31,36 @@ import { CLI } from './cli.js';
 class AdminKlaus {
   constructor() {
     this.cli = new CLI();
-    this.contextManager = new ContextManager();
-    this.sshManager = new SSHManager();
+    this.hostInventory = new HostInventory();
+    this.fanOut = new FanOutExecutor();
+    this.riskAnalyzer = new RiskAnalyzer();
+    this.commandPolicy = new CommandPolicy();
+    this.runbookExporter = new RunbookExporter(this.riskAnalyzer);
+    this.runbookParser = new RunbookParser();
+    this.textDiff = new TextDiff();
+    this.backupManager = new BackupManager();
+    this.factGatherer = new FactGatherer();
+    this.notesStore = new NotesStore();
+    this.usageTracker = new UsageTracker();
+    this.jobs = new JobManager();
+    this.jobs.on('finished', (job) => this.jobFinished(job));
+    // Background jobs that finished since the last prompt
+    this.jobNotices = [];
     this.llmClient = null;
 
-    this.systemDescription = '';
-    this.sshConfig = null;
-    this.sudoPassword = null;
+    // Sudo passwords for fan-out, by host group
+    this.groupSudoPasswords = new Map();
+
+    // How often a rejected sudo password is asked for again
+    this.maxSudoAttempts = 3;
+
+    // read_file limits: returned without a range, and read whole for a line range
+    this.maxReadBytes = 64 * 1024;
+    this.maxLineRangeBytes = 5 * 1024 * 1024;
+
+    // Open sessions by name, and the one commands currently run on
+    this.sessions = new Map();
+    this.activeSession = null;
 
     // Patterns for commands that produce continuous/streaming output
     this.streamingCommandPatterns = [
@@ -28,12 +68,6 @@ class AdminKlaus {
       /^tail\s+(-[fF]|--follow)/,         // tail -f, tail -F, tail --follow
       /^journalctl\s+.*-f/,               // journalctl -f (follow)
       /^watch\s+/,                        // watch command
-      /^htop(\s|$)/,                      // htop
-      /^top(\s|$)/,                       // top
-      /^less(\s|$)/,                      // less (interactive)
-      /^more(\s|$)/,                      // more (interactive)
-      /^vim?(\s|$)/,                      // vi, vim
-      /^nano(\s|$)/,                      // nano
       /^docker\s+logs\s+.*-f/,            // docker logs -f
       /^docker-compose\s+logs\s+.*-f/,    // docker-compose logs -f
       /^kubectl\s+logs\s+.*-f/,           // kubectl logs -f
@@ -43,11 +77,31 @@ class AdminKlaus {
       /^iostat\s+.*\d+/,                  // iostat with interval
       /^vmstat\s+.*\d+/,                  // vmstat with interval
       /^sar\s+.*\d+/,                     // sar with interval
+    ];
+
+    // Patterns for full-screen programs that need a terminal and the keyboard
+    this.interactiveCommandPatterns = [
+      /^htop(\s|$)/,                      // htop
+      /^top(\s|$)/,                       // top
+      /^less(\s|$)/,                      // less
+      /^more(\s|$)/,                      // more
+      /^vim?(\s|$)/,                      // vi, vim
+      /^nvim(\s|$)/,                      // neovim
+      /^nano(\s|$)/,                      // nano
+      /^mcedit(\s|$)/,                    // mcedit
+      /^man\s+/,                          // man pages
+      /^(sudo)?edit\s+/,                  // sudoedit
+      /^crontab\s+.*-e/,                  // crontab -e
+      /^visudo(\s|$)/,                    // visudo
+      /^systemctl\s+edit\s+/,            // systemctl edit
       /^nmon(\s|$)/,                      // nmon
       /^iotop(\s|$)/,                     // iotop
       /^iftop(\s|$)/,                     // iftop
       /^nethogs(\s|$)/,                   // nethogs
       /^multitail(\s|$)/,                 // multitail
+      /^mc(\s|$)/,                        // midnight commander
+      /^tmux(\s|$)/,                      // tmux
+      /^screen(\s|$)/,                    // screen
     ];
   }
 
@@ -59,57 +113,157 @@ class AdminKlaus {
     return this.streamingCommandPatterns.some(pattern => pattern.test(trimmedCommand));
   }
 
+  /**
+   * Check if a command is an interactive (full-screen) program
+   */
+  isInteractiveCommand(command) {
+    const trimmedCommand = command.trim();
+    return this.interactiveCommandPatterns.some(pattern => pattern.test(trimmedCommand));
+  }
+
+  /**
+   * How to run a command: 'interactive' (PTY passthrough), 'streaming' or 'normal'.
+   * The LLM's flags win, the patterns are the fallback.
+   */
+  executionMode({ command, is_streaming, is_interactive }) {
+    if (is_interactive || this.isInteractiveCommand(command)) return 'interactive';
+    if (is_streaming || this.isStreamingCommand(command)) return 'streaming';
+    return 'normal';
+  }
+
   /**
    * Initialize the application
    */
   async init() {
-    // Check for API key
-    if (!process.env.ANTHROPIC_API_KEY) {
-      this.cli.print('Error: ANTHROPIC_API_KEY not found in environment', 'error');
-      this.cli.print('Please create a .env file with your API key', 'info');
+    // Pick the LLM provider (and check its API key)
+    try {
+      this.llmClient = LLMClient.fromEnv(process.env, { usageTracker: this.usageTracker });
+    } catch (err) {
+      this.cli.print(`Error: ${err.message}`, 'error');
+      this.cli.print('Please configure the LLM provider in your .env file', 'info');
       process.exit(1);
     }
 
-    this.llmClient = new LLMClient(process.env.ANTHROPIC_API_KEY, this.contextManager);
-    console.log(`[AdminKlaus] Using LLM: ${this.llmClient.model}`);
     this.cli.init();
     this.cli.printBanner();
+    this.cli.print(`LLM: ${this.llmClient.provider.describe()}`, 'info');
 
-    // Set up SSH event handlers
-    this.sshManager.on('connected', (host) => {
-      this.cli.print(`Connected to ${host}`, 'success');
-    });
-
-    this.sshManager.on('error', (err) => {
-      this.cli.print(`SSH Error: ${err.message}`, 'error');
-    });
+    // Load named host profiles
+    try {
+      await this.hostInventory.load();
+    } catch (err) {
+      this.cli.print(err.message, 'warning');
+    }
 
-    this.sshManager.on('disconnected', () => {
-      this.cli.print('Disconnected from server', 'warning');
-    });
+    // Load the LLM price table
+    try {
+      await this.usageTracker.load();
+    } catch (err) {
+      this.cli.print(err.message, 'warning');
+    }
   }
 
   /**
    * Handle slash commands
    */
   async handleCommand(input) {
-    const [cmd, ...args] = input.slice(1).split(' ');
+    const [cmd, ...args] = input.slice(1).split(/\s+/);
 
     switch (cmd.toLowerCase()) {
       case 'connect':
-        await this.connectToServer();
+        if (args[0] === 'local') {
+          await this.connectLocal();
+        } else if (args[0]) {
+          await this.connectToProfile(args[0]);
+        } else {
+          await this.connectToServer();
+        }
+        break;
+
+      case 'hosts':
+        await this.listHosts(args[0]);
+        break;
+
+      case 'sessions':
+        if (args[0] === 'history') {
+          await this.listSessionHistory(args[1]);
+        } else {
+          this.listSessions();
+        }
+        break;
+
+      case 'resume':
+        await this.resumeSession(args[0]);
+        break;
+
+      case 'use':
+        this.useSession(args[0]);
+        break;
+
+      case 'disconnect':
+        await this.disconnectSession(args[0]);
+        break;
+
+      case 'notes':
+        await this.handleNotes(args);
+        break;
+
+      case 'facts':
+        await this.handleFacts(args);
+        break;
+
+      case 'target':
+        this.handleTarget(args);
         break;
 
       case 'system':
         await this.setSystemDescription();
         break;
 
+      case 'plan':
+        await this.handlePlanCommand(args);
+        break;
+
+      case 'export':
+        await this.exportRunbook(args);
+        break;
+
+      case 'run':
+        await this.runRunbook(args);
+        break;
+
+      case 'undo':
+        await this.handleUndo(args);
+        break;
+
       case 'status':
         this.showStatus();
         break;
 
+      case 'budget':
+        this.handleBudget(args);
+        break;
+
+      case 'retry':
+        await this.handleRetry();
+        break;
+
+      case 'jobs':
+        this.handleJobs();
+        break;
+
+      case 'fg':
+        await this.handleFg(args);
+        break;
+
+      case 'kill':
+        this.handleKill(args);
+        break;
+
       case 'clear':
-        this.contextManager.clear();
+        if (this.activeSession) {
+          this.activeSession.contextManager.clear();
+        }
         this.cli.print('Conversation cleared', 'success');
         break;
 
@@ -207,245 +361,1811 @@ class AdminKlaus {
       password = await this.cli.promptPassword('Password');
     }
 
-    this.sshConfig = {
+    await this.establishConnection(host, {
       host,
       port: parseInt(port),
       username,
       password,
       privateKey,
       passphrase: passphrase || undefined,
+    });
+  }
+
+  /**
+   * Work on the machine Klaus runs on, without SSH
+   */
+  async connectLocal() {
+    const username = os.userInfo().username;
+    this.cli.print(`\nUsing the local machine as ${username}`, 'info');
+
+    await this.establishConnection('local', { host: 'localhost', username }, {
+      executor: new LocalExecutor(),
+      notesHost: `local-${os.hostname()}`,
+      // No getuid() on Windows - and no sudo to ask for
+      askSudo: typeof process.getuid === 'function' && process.getuid() !== 0,
+    });
+  }
+
+  /**
+   * Connect to a named profile from the host inventory without prompting
+   */
+  async connectToProfile(name) {
+    try {
+      await this.hostInventory.load();
+    } catch (err) {
+      this.cli.print(err.message, 'error');
+      return;
+    }
+
+    const profile = this.hostInventory.get(name);
+    if (!profile) {
+      this.cli.print(`Unknown host profile: ${name} (see /hosts)`, 'error');
+      return;
+    }
+
+    let sshConfig;
+    try {
+      sshConfig = await this.buildProfileSshConfig(profile);
+    } catch (err) {
+      this.cli.print(err.message, 'error');
+      return;
+    }
+
+    this.cli.print(`\nConnecting to ${name} (${profile.username}@${profile.host}:${profile.port})`, 'info');
+
+    const session = await this.establishConnection(name, sshConfig, { askSudo: profile.sudo, profile: name });
+
+    if (session && profile.systemDescription) {
+      session.systemDescription = profile.systemDescription;
+      this.cli.print(`System: ${profile.systemDescription}`, 'info');
+    }
+  }
+
+  /**
+   * Build the SSH config for a host profile, prompting only for secrets that are
+   * actually needed (password without key, passphrase of an encrypted key)
+   * @param {Object} profile - Host profile from the inventory
+   * @param {Map} [passphrases] - Passphrases already entered, by key path
+   */
+  async buildProfileSshConfig(profile, passphrases = new Map()) {
+    if (!profile.username) {
+      throw new Error(`Host profile ${profile.name} has no username`);
+    }
+
+    let password, privateKey, passphrase;
+
+    if (profile.keyPath) {
+      try {
+        privateKey = await fs.readFile(this.expandPath(profile.keyPath), 'utf-8');
+      } catch (err) {
+        throw new Error(`Error reading key file: ${err.message}`);
+      }
+
+      // Only ask for a passphrase if the key is actually encrypted
+      const parsed = ssh2.utils.parseKey(privateKey);
+      if (parsed instanceof Error && /passphrase/i.test(parsed.message)) {
+        if (!passphrases.has(profile.keyPath)) {
+          passphrases.set(profile.keyPath, await this.cli.promptPassword(`Key passphrase for ${profile.keyPath}`));
+        }
+        passphrase = passphrases.get(profile.keyPath);
+      }
+    } else {
+      password = await this.cli.promptPassword(`Password for ${profile.username}@${profile.host}`);
+    }
+
+    return {
+      host: profile.host,
+      port: profile.port,
+      username: profile.username,
+      password,
+      privateKey,
+      passphrase: passphrase || undefined,
     };
+  }
+
+  /**
+   * Open a new session, test it and optionally ask for the sudo password.
+   * The new session replaces an open session of the same name and becomes active.
+   * @param {string} name - Session name
+   * @param {Object} sshConfig - SSH connection config
+   * @param {Object} [options]
+   * @param {boolean} [options.askSudo] - Ask for the sudo password (default true)
+   * @param {Executor} [options.executor] - Runs the commands (default: SSH)
+   * @param {string} [options.profile] - Host profile name - the notes are kept under it
+   * @param {string} [options.notesHost] - Notes key for hosts without profile or host key
+   * @returns {Promise<Session|null>} - the connected session, or null on failure
+   */
+  async establishConnection(name, sshConfig, { askSudo = true, executor, profile, notesHost } = {}) {
+    const session = new Session(name, sshConfig, { executor, budget: this.usageTracker.budget });
+
+    // Set up connection event handlers
+    session.executor.on('connected', (host) => {
+      this.cli.print(`Connected to ${host}`, 'success');
+    });
+
+    session.executor.on('error', (err) => {
+      this.cli.print(`[${name}] SSH Error: ${err.message}`, 'error');
+    });
+
+    session.executor.on('disconnected', () => {
+      this.cli.print(`[${name}] Disconnected from server`, 'warning');
+    });
 
     const spinner = this.cli.startSpinner('Connecting...');
 
     try {
-      await this.sshManager.connect(this.sshConfig);
+      await session.connect();
       spinner.stop(true);
+    } catch (err) {
+      spinner.stop(false);
+      this.cli.print(`Connection failed: ${err.message}`, 'error');
+      return null;
+    }
 
-      // Test connection
-      const test = await this.sshManager.testConnection();
-      if (test.success) {
-        this.cli.print(`\n${test.output}\n`, 'success');
-      }
+    const previous = this.sessions.get(name);
+    if (previous) {
+      await previous.saveLogs();
+      previous.disconnect();
+      session.takeOver(previous);
+      this.cli.print(`Reconnected ${name} - the conversation, plan and undo history carry on`, 'info');
+    }
+    this.sessions.set(name, session);
+    this.activeSession = session;
+
+    await this.loadNotes(session, profile, notesHost);
+
+    // Test connection
+    const test = await session.executor.testConnection();
+    if (test.success) {
+      this.cli.print(`\n${test.output}\n`, 'success');
+      await this.gatherFacts(session);
+    }
+
+    if (askSudo) {
 
       // Ask for optional sudo password
       this.cli.print('\nSudo password (optional - press Enter to skip):', 'info');
-      this.cli.print('If you skip, commands requiring sudo will fail.', 'default');
+      this.cli.print('If you skip, sudo commands run without a password (NOPASSWD) and you are asked when one is needed.', 'default');
       const sudoPass = await this.cli.promptPassword('Sudo password');
       if (sudoPass) {
-        this.sudoPassword = sudoPass;
+        session.sudoPassword = sudoPass;
         this.cli.print('Sudo password saved for this session.', 'success');
       } else {
-        this.sudoPassword = null;
-        this.cli.print('No sudo password set. Sudo commands will not be available.', 'warning');
+        this.cli.print('No sudo password set. Sudo commands will use sudo -n.', 'warning');
       }
-    } catch (err) {
-      spinner.stop(false);
-      this.cli.print(`Connection failed: ${err.message}`, 'error');
-      this.sshConfig = null;
     }
+
+    if (this.sessions.size > 1) {
+      this.cli.print(`Active session: ${name} (${this.sessions.size} open, see /sessions)`, 'info');
+    }
+
+    return session;
   }
 
   /**
-   * Set the system description
+   * List open sessions
    */
-  async setSystemDescription() {
-    this.cli.print('\nDescribe the system you are managing:', 'info');
-    this.cli.print('(This helps Klaus understand the context)', 'default');
-    this.systemDescription = await this.cli.prompt('System');
-    this.cli.print('System description saved', 'success');
+  listSessions() {
+    if (this.sessions.size === 0) {
+      this.cli.print('No open sessions. Use /connect first.', 'warning');
+      return;
+    }
+
+    this.cli.printSessionList([...this.sessions.values()], this.activeSession);
   }
 
   /**
-   * Show current status
+   * List saved sessions of a host (default: the active session's host)
    */
-  showStatus() {
-    this.cli.print('\n--- Status ---\n', 'header');
-
-    // Connection status
-    this.cli.printConnectionStatus(
-      this.sshManager.isConnected,
-      this.sshConfig?.host,
-      this.sshConfig?.username
-    );
+  async listSessionHistory(name) {
+    const sessionName = name || this.activeSession?.name;
+    if (!sessionName) {
+      this.cli.print('Usage: /sessions history <name> (or connect first)', 'error');
+      return;
+    }
 
-    // System description
-    if (this.systemDescription) {
-      this.cli.print(`System: ${this.systemDescription}`, 'info');
-    } else {
-      this.cli.print('System: Not set (use /system to set)', 'warning');
+    const saved = await ContextManager.listSavedSessions(path.join('./logs', sessionName));
+    if (saved.length === 0) {
+      this.cli.print(`No saved sessions for ${sessionName}`, 'warning');
+      return;
     }
 
-    // Context stats
-    const stats = this.contextManager.getContextStats();
-    this.cli.print(`\nContext usage: ${stats.usagePercent}% (${stats.totalTokens}/${stats.maxTokens} tokens)`, 'default');
+    this.cli.printSavedSessions(sessionName, saved);
   }
 
   /**
-   * Execute a command via SSH
+   * Resume a saved session of the active host (default: the most recent one)
    */
-  async executeCommand(command, requiresSudo = false) {
-    const options = {};
+  async resumeSession(id) {
+    const session = this.activeSession;
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
 
-    if (requiresSudo) {
-      if (!this.sudoPassword) {
-        return {
-          stdout: '',
-          stderr: 'Sudo password not configured. Please reconnect with /connect and provide a sudo password when prompted.',
-          exitCode: 1,
-        };
-      }
-      options.sudo = true;
-      options.sudoPassword = this.sudoPassword;
+    const saved = (await ContextManager.listSavedSessions(session.logDir))
+      .filter(s => s.id !== session.contextManager.sessionId);
+    const toResume = id ? saved.find(s => s.id === id) : saved[0];
+    if (!toResume) {
+      this.cli.print(id
+        ? `No saved session ${id} for ${session.name} (see /sessions history)`
+        : `No saved sessions for ${session.name}`, 'warning');
+      return;
     }
 
-    try {
-      const result = await this.sshManager.execute(command, options);
+    if (session.contextManager.getMessages().length > 0) {
+      const replace = await this.cli.confirm('This replaces the current conversation. Continue?');
+      if (!replace) return;
+      await session.saveLogs();
+    }
 
-      // Log the command output
-      this.contextManager.addCommandOutput(
-        command,
-        result.stdout + (result.stderr ? '\n' + result.stderr : ''),
-        result.exitCode
-      );
+    const metadata = await session.resume(toResume.dir);
+    if (!metadata) {
+      this.cli.print(`Could not load saved session ${toResume.id}`, 'error');
+      return;
+    }
 
-      return result;
-    } catch (err) {
-      return {
-        stdout: '',
-        stderr: err.message,
-        exitCode: 1,
-      };
+    this.cli.print(`Resumed session ${toResume.id}: ${toResume.messageCount} messages, ${toResume.commandCount} commands`, 'success');
+    if (toResume.lastGoal) {
+      this.cli.print(`Last request: ${toResume.lastGoal}`, 'info');
     }
   }
 
   /**
-   * Execute a streaming command via SSH (for commands like pm2 logs, tail -f, etc.)
+   * Export the active session's command log as a Markdown runbook, or with
+   * --sh as a bash script of the successful state-changing commands
    */
-  async executeStreamingCommand(command, requiresSudo = false) {
-    const options = {
-      onData: (text) => this.cli.printStreamingLine(text),
-      onError: (text) => this.cli.printStreamingLine(text),
-    };
-
-    if (requiresSudo) {
-      if (!this.sudoPassword) {
-        return {
-          stdout: '',
-          stderr: 'Sudo password not configured. Please reconnect with /connect and provide a sudo password when prompted.',
-          exitCode: 1,
-          aborted: false,
-        };
-      }
-      options.sudo = true;
-      options.sudoPassword = this.sudoPassword;
+  async exportRunbook(args) {
+    const session = this.activeSession;
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
     }
 
-    try {
-      // Print the streaming header
-      this.cli.printStreamingHeader(command);
-
-      // Start the streaming command
-      const { abort, promise } = this.sshManager.executeStreaming(command, options);
-
-      // Set up key capture to abort on 'q'
-      const cleanup = this.cli.startStreamingKeyCapture(() => {
-        abort();
-      });
-
-      // Wait for the command to complete (or be aborted)
-      const result = await promise;
-
-      // Clean up key capture
-      cleanup();
+    const asScript = args.includes('--sh');
+    const file = args.filter(a => a && a !== '--sh').join(' ')
+      || `runbook-${session.name}-${session.contextManager.sessionId}.${asScript ? 'sh' : 'md'}`;
 
-      // Print the footer
-      this.cli.printStreamingFooter(result.aborted);
+    const entries = session.contextManager.commandLog;
+    if (entries.length === 0) {
+      this.cli.print('No commands in this session yet', 'warning');
+      return;
+    }
 
-      // Log the command output
-      this.contextManager.addCommandOutput(
-        command,
-        result.stdout + (result.stderr ? '\n' + result.stderr : ''),
-        result.exitCode
-      );
+    const meta = {
+      name: session.name,
+      target: session.target,
+      sessionId: session.contextManager.sessionId,
+    };
 
-      return result;
+    try {
+      if (asScript) {
+        const { script, count } = this.runbookExporter.toShellScript(entries, meta);
+        await fs.writeFile(this.expandPath(file), script, { encoding: 'utf-8', mode: 0o755 });
+        this.cli.print(`Script with ${count} state-changing commands written to ${file}`, 'success');
+      } else {
+        await fs.writeFile(this.expandPath(file), this.runbookExporter.toMarkdown(entries, meta), 'utf-8');
+        this.cli.print(`Runbook with ${entries.length} steps written to ${file}`, 'success');
+      }
     } catch (err) {
-      return {
-        stdout: '',
-        stderr: err.message,
-        exitCode: 1,
-        aborted: false,
-      };
+      this.cli.print(`Error writing ${file}: ${err.message}`, 'error');
     }
   }
 
   /**
-   * Handle tool calls from the LLM
+   * Replay a runbook (Markdown runbook or bash script) on the active session,
+   * step by step with the normal policy checks and confirmations
+   * Options: --continue keeps going after a failed step, --ask-llm asks Klaus
+   * for help with a failed step. Without either, the run stops at the first failure.
    */
-  async handleToolCalls(toolCalls) {
-    const results = [];
+  async runRunbook(args) {
+    const session = this.activeSession;
+    const continueOnFailure = args.includes('--continue');
+    const askLlm = args.includes('--ask-llm');
+    const file = args.filter(a => a && !a.startsWith('--')).join(' ');
+
+    if (!file) {
+      this.cli.print('Usage: /run <file> [--continue] [--ask-llm]', 'error');
+      return;
+    }
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
+    if (!session.isConnected) {
+      this.cli.print(`Session ${session.name} is disconnected. Use /connect to reconnect.`, 'warning');
+      return;
+    }
 
-    for (const toolCall of toolCalls) {
-      if (toolCall.name === 'execute_command') {
-        const { command, requires_sudo, is_streaming, explanation } = toolCall.input;
+    let text;
+    try {
+      text = await fs.readFile(this.expandPath(file), 'utf-8');
+    } catch (err) {
+      this.cli.print(`Error reading ${file}: ${err.message}`, 'error');
+      return;
+    }
 
-        // Auto-detect streaming commands as fallback
-        const shouldStream = is_streaming || this.isStreamingCommand(command);
+    let parsed;
+    try {
+      parsed = this.runbookParser.parse(text, file);
+    } catch (err) {
+      this.cli.print(`Cannot replay ${file}: ${err.message}`, 'error');
+      return;
+    }
+    const { steps, skipped } = parsed;
+    if (steps.length === 0) {
+      this.cli.print(`No commands found in ${file}`, 'warning');
+      return;
+    }
 
-        this.cli.printCommandExecution(command, explanation);
+    this.cli.printPlan(steps, `Runbook ${file}`);
+    if (skipped > 0) {
+      this.cli.print(`${skipped} steps marked as failed or not executed are left out`, 'info');
+    }
+    const start = await this.cli.confirm(`Run ${steps.length} steps on ${session.name}?`);
+    if (!start) return;
 
-        if (shouldStream) {
-          this.cli.print('  (streaming command - press \'q\' to stop)', 'warning');
-        }
+    await this.commandPolicy.load();
+    session.contextManager.setGoal(`Replay runbook ${file}`);
 
-        // Ask for confirmation
-        const confirmed = await this.cli.confirm('Execute this command?');
+    const report = [];
+    let stopped = false;
 
-        if (!confirmed) {
-          results.push({
-            type: 'tool_result',
-            tool_use_id: toolCall.id,
-            content: 'User declined to execute this command.',
+    for (const step of steps) {
+      if (stopped) {
+        report.push({ step, status: 'not run' });
+        continue;
+      }
+
+      let status;
+      let result = null;
+
+      // A step can be retried after Klaus helped with a failure
+      while (true) {
+        if (step.group) {
+          const summary = await this.executeGroupCommand(step);
+          let parsed = null;
+          try {
+            parsed = JSON.parse(summary);
+          } catch {
+            // Declined or refused - a plain message instead of a summary
+          }
+          status = !parsed ? 'skipped' : parsed.failed === 0 ? 'passed' : 'failed';
+          result = { exitCode: parsed?.failed === 0 ? 0 : 1, stdout: '', stderr: summary };
+        } else {
+          // Steps recorded in a container or pod run there again
+          const approved = await this.withExecTarget(session, step.target, async () => {
+            const mode = this.executionMode(step);
+            const approval = await this.approveCommand(step.command, step.explanation, step.requires_sudo, { mode });
+            if (!approval.approved) {
+              status = approval.refusal ? 'refused' : 'skipped';
+              return false;
+            }
+
+            result = await this.runCommand(step.command, step.requires_sudo, mode, step.explanation, this.commandTiming(step));
+            status = result.exitCode === 0 ? 'passed' : result.aborted ? 'aborted' : result.background ? 'background' : 'failed';
+            return true;
+          });
+          if (!approved) break;
+        }
+
+        if (status !== 'failed' || !askLlm) break;
+
+        await this.processMessage(`While replaying the runbook ${file} on ${session.name}, this step failed:
+$ ${step.requires_sudo ? 'sudo ' : ''}${step.command}
+Exit code: ${result.exitCode}
+${result.stdout ? `stdout:\n${this.truncateOutput(result.stdout, 2000)}\n` : ''}${result.stderr ? `stderr:\n${this.truncateOutput(result.stderr, 2000)}\n` : ''}
+Find out why and help me fix it, so the runbook can continue with this step.`);
+
+        const choice = (await this.cli.prompt('Retry the step, skip it or stop the run? (r/s/q)')).toLowerCase();
+        if (choice.startsWith('r')) continue;
+        if (choice.startsWith('s')) status = 'failed (skipped)';
+        else stopped = true;
+        break;
+      }
+
+      report.push({ step, status });
+
+      if (status === 'failed' && !continueOnFailure && !askLlm) {
+        stopped = true;
+      }
+      if (status === 'refused' && !continueOnFailure) {
+        stopped = true;
+      }
+    }
+
+    this.cli.printRunReport(file, report);
+  }
+
+  /**
+   * Switch the active session
+   */
+  useSession(name) {
+    if (!name) {
+      this.cli.print('Usage: /use <session>', 'error');
+      return;
+    }
+
+    const session = this.sessions.get(name);
+    if (!session) {
+      this.cli.print(`No open session named ${name} (see /sessions)`, 'error');
+      return;
+    }
+
+    this.activeSession = session;
+    this.cli.print(`Now working on ${name} (${session.target})`, 'success');
+    if (!session.isConnected) {
+      this.cli.print('This session is disconnected. Use /connect to reconnect.', 'warning');
+    }
+  }
+
+  /**
+   * Close a session (default: the active one)
+   */
+  async disconnectSession(name) {
+    const session = name ? this.sessions.get(name) : this.activeSession;
+    if (!session) {
+      this.cli.print(name ? `No open session named ${name}` : 'No active session', 'error');
+      return;
+    }
+
+    await session.saveLogs();
+    session.disconnect();
+    this.sessions.delete(session.name);
+
+    if (this.activeSession === session) {
+      this.activeSession = this.sessions.values().next().value || null;
+      if (this.activeSession) {
+        this.cli.print(`Now working on ${this.activeSession.name}`, 'info');
+      }
+    }
+  }
+
+  /**
+   * List the host profiles from the inventory
+   */
+  async listHosts(tag) {
+    try {
+      await this.hostInventory.load();
+    } catch (err) {
+      this.cli.print(err.message, 'error');
+      return;
+    }
+
+    const profiles = this.hostInventory.list(tag);
+    if (profiles.length === 0) {
+      this.cli.print(tag
+        ? `No host profiles tagged "${tag}"`
+        : `No host profiles found in ${this.hostInventory.filePath}`, 'warning');
+      return;
+    }
+
+    this.cli.printHostList(profiles);
+  }
+
+  /**
+   * Set the system description
+   */
+  async setSystemDescription() {
+    const session = this.activeSession;
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
+
+    this.cli.print(`\nDescribe the system you are managing (${session.name}):`, 'info');
+    this.cli.print('(This helps Klaus understand the context)', 'default');
+    session.systemDescription = await this.cli.prompt('System');
+    this.cli.print('System description saved', 'success');
+  }
+
+  /**
+   * Show current status
+   */
+  showStatus() {
+    this.cli.print('\n--- Status ---\n', 'header');
+
+    const session = this.activeSession;
+
+    // Connection status
+    this.cli.printConnectionStatus(
+      session?.isConnected,
+      session?.sshConfig.host,
+      session?.sshConfig.username
+    );
+    this.cli.print(`LLM: ${this.llmClient.provider.describe()}`, 'info');
+
+    if (!session) {
+      return;
+    }
+
+    this.cli.print(`Session: ${session.name} (${this.sessions.size} open)`, 'info');
+    if (session.execTarget) {
+      this.cli.print(`Target: ${session.execTarget.label} (/target host to leave)`, 'info');
+    }
+
+    // System description
+    if (session.systemDescription) {
+      this.cli.print(`System: ${session.systemDescription}`, 'info');
+    } else {
+      this.cli.print('System: Not set (use /system to set)', 'warning');
+    }
+
+    // Context stats
+    const stats = session.contextManager.getContextStats();
+    this.cli.print(`\nContext usage: ${stats.usagePercent}% (${stats.totalTokens}/${stats.maxTokens} tokens)`, 'default');
+
+    // Tokens as reported by the API
+    const tracker = this.usageTracker;
+    this.cli.print(`LLM usage (session): ${tracker.formatTotals(session.usage)}`, 'default');
+    this.cli.print(`LLM usage (host ${tracker.hostOf(session)}): ${tracker.formatTotals(tracker.hostTotals(session))}`, 'default');
+    this.printBudget(session);
+  }
+
+  /**
+   * Show where a session stands with its budget
+   */
+  printBudget(session) {
+    const tracker = this.usageTracker;
+    const { limit, spent, warning, exceeded } = tracker.budgetStatus(session);
+    if (!limit) {
+      this.cli.print('Budget: none (set one with /budget <usd>)', 'default');
+      return;
+    }
+    const level = exceeded ? 'error' : warning ? 'warning' : 'default';
+    this.cli.print(`Budget: ${tracker.formatCost(spent)} of ${tracker.formatCost(limit)} spent (warning at ${tracker.warnPercent}%)`, level);
+  }
+
+  /**
+   * /budget - show or set the active session's LLM spending limit
+   */
+  handleBudget([value]) {
+    const session = this.activeSession;
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
+
+    if (value === 'off') {
+      session.budget = null;
+    } else if (value) {
+      const limit = parseFloat(value.replace(/^\$/, ''));
+      if (!(limit > 0)) {
+        this.cli.print('Usage: /budget [<usd>|off]', 'error');
+        return;
+      }
+      session.budget = limit;
+    }
+    this.printBudget(session);
+  }
+
+  /**
+   * Tell the user when an LLM call takes a session past its warning threshold or its limit
+   * @param {Session} session
+   * @param {Object} before - budgetStatus() before the call
+   */
+  warnBudget(session, before) {
+    const { warning, exceeded } = this.usageTracker.budgetStatus(session);
+    if (exceeded && !before.exceeded) {
+      this.printBudget(session);
+      this.cli.print('Further requests are refused - raise the budget with /budget <usd>', 'error');
+    } else if (warning && !before.warning) {
+      this.printBudget(session);
+    }
+  }
+
+  /**
+   * Run the read-only fact probe on a session's host and keep the results
+   * @returns {Promise<boolean>} - Whether facts were gathered
+   */
+  async gatherFacts(session) {
+    const spinner = this.cli.startSpinner('Gathering system facts...');
+    try {
+      // On the host itself, whatever /target points at
+      const result = await session.executor.execute(`sh -c ${session.executor.shellQuote(this.factGatherer.probeScript())}`, { timeout: 30000 });
+      session.facts = this.factGatherer.parse(result.stdout);
+      spinner.stop(true);
+      this.cli.print(`${session.facts.os || 'Unknown OS'}, ${session.facts.packageManager || 'no known package manager'}, ${session.facts.init || 'unknown init'} (/facts for details)`, 'info');
+      return true;
+    } catch (err) {
+      spinner.stop(false);
+      this.cli.print(`Could not gather system facts: ${err.message}`, 'warning');
+      return false;
+    }
+  }
+
+  /**
+   * Show the gathered facts of the active session, or gather them again
+   */
+  async handleFacts([sub]) {
+    const session = this.activeSession;
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
+
+    if (sub === 'refresh') {
+      if (!session.isConnected) {
+        this.cli.print(`Session ${session.name} is disconnected. Use /connect to reconnect.`, 'warning');
+        return;
+      }
+      if (!await this.gatherFacts(session)) return;
+    } else if (sub) {
+      this.cli.print('Usage: /facts [refresh]', 'error');
+      return;
+    }
+
+    if (!session.facts) {
+      this.cli.print('No facts gathered yet. Use /facts refresh.', 'warning');
+      return;
+    }
+    this.cli.printFacts(session.name, this.factGatherer.render(session.facts), session.facts.gatheredAt);
+  }
+
+  /**
+   * Find and load the persistent notes of a session's host
+   * @param {Session} session - A connected session
+   * @param {string} [profile] - Host profile it was connected through
+   * @param {string} [notesHost] - Key for hosts without profile or host key
+   */
+  async loadNotes(session, profile, notesHost) {
+    session.notesKey = this.notesStore.keyFor({
+      profile,
+      fingerprint: session.executor.hostKeyFingerprint,
+      host: notesHost || `${session.sshConfig.host}:${session.sshConfig.port || 22}`,
+    });
+    try {
+      session.notes = await this.notesStore.load(session.notesKey);
+    } catch (err) {
+      this.cli.print(err.message, 'warning');
+      return;
+    }
+    if (session.notes.length > 0) {
+      this.cli.print(`${session.notes.length} notes about this host (/notes)`, 'info');
+    }
+  }
+
+  /**
+   * Show and edit the notes of the active host:
+   * /notes, /notes add <text>, /notes rm <number>, /notes edit
+   */
+  async handleNotes([sub, ...rest]) {
+    const session = this.activeSession;
+    if (!session || !session.notesKey) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
+
+    const file = this.notesStore.filePath(session.notesKey);
+    try {
+      switch (sub) {
+        case undefined:
+          break;
+
+        case 'add': {
+          const note = rest.join(' ').trim();
+          if (!note) {
+            this.cli.print('Usage: /notes add <text>', 'error');
+            return;
+          }
+          session.notes = await this.notesStore.add(session.notesKey, note, session.name);
+          break;
+        }
+
+        case 'rm': {
+          const index = parseInt(rest[0], 10) - 1;
+          const notes = await this.notesStore.load(session.notesKey);
+          if (!(index >= 0 && index < notes.length)) {
+            this.cli.print('Usage: /notes rm <number> (see /notes)', 'error');
+            return;
+          }
+          const [removed] = notes.splice(index, 1);
+          await this.notesStore.save(session.notesKey, notes, session.name);
+          session.notes = notes;
+          this.cli.print(`Removed: ${removed}`, 'success');
+          break;
+        }
+
+        case 'edit': {
+          // Make sure there is a file with a heading to edit
+          await this.notesStore.save(session.notesKey, await this.notesStore.load(session.notesKey), session.name);
+          const release = this.cli.releaseTerminal();
+          spawnSync(process.env.VISUAL || process.env.EDITOR || 'vi', [file], { stdio: 'inherit' });
+          release();
+          session.notes = await this.notesStore.load(session.notesKey);
+          break;
+        }
+
+        default:
+          this.cli.print('Usage: /notes [add <text> | rm <number> | edit]', 'error');
+          return;
+      }
+    } catch (err) {
+      this.cli.print(`Notes: ${err.message}`, 'error');
+      return;
+    }
+
+    this.cli.printNotes(session.name, session.notes, file);
+  }
+
+  /**
+   * Let Klaus add a note about the host, if the user agrees
+   * @returns {Promise<string>} - Tool result content for the LLM
+   */
+  async rememberTool({ note, explanation }) {
+    const session = this.activeSession;
+    if (!note || !note.trim()) {
+      return JSON.stringify({ error: 'note must not be empty' });
+    }
+
+    this.cli.printNoteProposal(session.name, note.trim(), explanation);
+    const confirmed = await this.cli.confirm(`Remember this for ${session.name}?`);
+    if (!confirmed) {
+      return 'User declined - the note was not saved.';
+    }
+
+    try {
+      session.notes = await this.notesStore.add(session.notesKey, note, session.name);
+    } catch (err) {
+      this.cli.print(`Could not save the note: ${err.message}`, 'error');
+      return JSON.stringify({ error: err.message });
+    }
+    this.cli.print(`Saved to the notes of ${session.name}`, 'success');
+    return JSON.stringify({ saved: true, notes: session.notes.length });
+  }
+
+  /**
+   * Choose the container or pod commands run in: /target container <name>,
+   * /target pod <namespace>/<pod>, /target host, or /target to show it
+   */
+  handleTarget(args) {
+    const session = this.activeSession;
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
+
+    if (args.length === 0) {
+      this.cli.print(`Commands run on ${session.execTarget ? `${session.execTarget.label} on ` : ''}${session.name}`, 'info');
+      return;
+    }
+
+    if (args[0] === 'host') {
+      session.execTarget = null;
+      this.cli.print(`Commands run on ${session.name} itself again`, 'success');
+      return;
+    }
+
+    try {
+      session.execTarget = ExecTarget.parse(args);
+    } catch (err) {
+      this.cli.print(err.message, 'error');
+      return;
+    }
+    this.cli.print(`Commands now run in ${session.execTarget.label} on ${session.name} (/target host to go back)`, 'success');
+  }
+
+  /**
+   * Run something with the session's commands going into another container
+   * or pod for a while (runbook and plan steps recorded there)
+   * @param {Session} session - The session
+   * @param {string|undefined} label - ExecTarget label, e.g. "container nginx"; none keeps the current target
+   * @param {function(): Promise} run - What to run
+   */
+  async withExecTarget(session, label, run) {
+    if (!label) {
+      return run();
+    }
+
+    const execTarget = session.execTarget;
+    session.execTarget = ExecTarget.parse(label.split(' '));
+    try {
+      return await run();
+    } finally {
+      session.execTarget = execTarget;
+    }
+  }
+
+  /**
+   * Execute a command via SSH
+   */
+  async executeCommand(command, requiresSudo = false, explanation = '', details = {}, { allowBackground = true, timeout, onOutput } = {}) {
+    const session = this.activeSession;
+    const hostCommand = session.wrapCommand(command);
+
+    try {
+      const logDetails = { explanation, sudo: requiresSudo, target: session.execTarget?.label, ...details };
+      const result = await this.withSudoPassword(session, requiresSudo, (sudoPassword) => {
+        const job = this.jobs.start(
+          { session, command, requiresSudo, details: logDetails },
+          (handlers) => session.executor.executeStreaming(hostCommand, { sudo: requiresSudo, sudoPassword, ...handlers }),
+          { timeout }
+        );
+        return this.waitForJob(job, { allowBackground, onOutput });
+      });
+
+      // Background jobs are logged when they finish
+      if (result.background) {
+        return result;
+      }
+
+      // Log the command output
+      session.contextManager.addCommandOutput(
+        command,
+        result.stdout + (result.stderr ? '\n' + result.stderr : ''),
+        result.exitCode,
+        logDetails
+      );
+
+      return result;
+    } catch (err) {
+      return {
+        stdout: '',
+        stderr: err.message,
+        exitCode: 1,
+      };
+    }
+  }
+
+  /**
+   * A background job finished: log it, announce it at the next prompt (unless
+   * the user was waiting for it with /fg) and tell Klaus with the next message
+   */
+  jobFinished(job) {
+    const { session, command, result } = job;
+    session.contextManager.addCommandOutput(
+      command,
+      result.stdout + (result.stderr ? '\n' + result.stderr : ''),
+      result.exitCode,
+      job.details
+    );
+    session.jobReports.push(job);
+    if (job.background) {
+      this.jobNotices.push(job);
+    }
+  }
+
+  /**
+   * Announce the background jobs that finished since the last prompt
+   */
+  printJobNotices() {
+    for (const job of this.jobNotices.splice(0)) {
+      const { exitCode, aborted } = job.result;
+      const state = aborted ? 'stopped' : exitCode === 0 ? 'done' : `failed (exit code ${exitCode})`;
+      this.cli.print(`[${job.id}] ${state}: ${job.command.split('\n')[0]} on ${job.session.name}`, exitCode === 0 ? 'success' : 'warning');
+    }
+  }
+
+  /**
+   * What Klaus is told about a background job that finished
+   */
+  jobReport(job) {
+    const { stdout, stderr, exitCode, aborted } = job.result;
+    return `[Background job ${job.id} finished: $ ${job.requiresSudo ? 'sudo ' : ''}${job.command}
+${aborted ? 'Stopped by the user' : `Exit code: ${exitCode}`}
+${stdout ? `stdout:\n${this.truncateOutput(stdout, 2000)}\n` : ''}${stderr ? `stderr:\n${this.truncateOutput(stderr, 2000)}\n` : ''}]`;
+  }
+
+  /**
+   * /jobs - list the background jobs
+   */
+  handleJobs() {
+    this.cli.printJobs(this.jobs.list());
+  }
+
+  /**
+   * /fg [job] - wait for a background job (default: the newest) in the foreground
+   */
+  async handleFg([id]) {
+    const job = id ? this.jobs.get(id) : this.jobs.list().pop();
+    if (!job) {
+      this.cli.print(id ? `No background job ${id}. /jobs lists them.` : 'No background jobs.', 'warning');
+      return;
+    }
+
+    this.jobs.foreground(job);
+    this.cli.print(`[${job.id}] $ ${job.requiresSudo ? 'sudo ' : ''}${job.command.split('\n')[0]} (on ${job.session.name})`, 'info');
+    this.cli.print('Ctrl+C stops the command, Ctrl+Z moves it to the background', 'command');
+    const spinner = this.cli.startSpinner(`Waiting for job ${job.id}...`);
+    spinner.output([job.stdout, job.stderr].filter(Boolean).join('\n'));
+
+    let result;
+    try {
+      result = await this.waitForJob(job, { onOutput: spinner.output });
+    } catch (err) {
+      result = { stdout: '', stderr: err.message, exitCode: 1 };
+    }
+    if (result.background) {
+      spinner.stop(null);
+      this.cli.print(`[${job.id}] moved to the background again`, 'info');
+      return;
+    }
+    spinner.stop(result.exitCode === 0);
+    this.cli.printCommandOutput(result.stdout, result.stderr, result.exitCode);
+  }
+
+  /**
+   * /kill <job> - stop a background job
+   */
+  handleKill([id]) {
+    if (!id) {
+      this.cli.print('Usage: /kill <job>', 'error');
+      return;
+    }
+    const job = this.jobs.get(id);
+    if (!job) {
+      this.cli.print(`No background job ${id}. /jobs lists them.`, 'warning');
+      return;
+    }
+    this.jobs.kill(job);
+    this.cli.print(`[${job.id}] stopping: ${job.command.split('\n')[0]}`, 'info');
+  }
+
+  /**
+   * What the LLM is told about a command it ran
+   */
+  commandResult(result) {
+    if (result.background) {
+      return {
+        background: true,
+        job: result.background,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        note: `The user moved the command to the background as job ${result.background}. It is still running - don't wait for it or run it again. Its result will be reported when it finishes.`,
+      };
+    }
+    return {
+      exitCode: result.exitCode,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      success: result.exitCode === 0,
+      aborted: result.aborted || false,
+      ...(result.timedOut ? {
+        timedOut: true,
+        note: 'The command timed out and was stopped - stdout and stderr hold its output until then. If it just needs more time, run it again with a larger timeout_seconds.',
+      } : {}),
+    };
+  }
+
+  /**
+   * How long a command from the LLM may run, from its timeout_seconds and
+   * expected_duration: without a timeout, twice the expected duration
+   * (at least the default of 60s)
+   * @returns {{timeout: number|undefined, expectedDuration: number|null}} - timeout in ms
+   *   (undefined: the default), expectedDuration in seconds
+   */
+  commandTiming({ timeout_seconds, expected_duration }) {
+    const expectedDuration = Number(expected_duration) > 0 ? Math.round(Number(expected_duration)) : null;
+    if (Number(timeout_seconds) > 0) {
+      return { timeout: Number(timeout_seconds) * 1000, expectedDuration };
+    }
+    return { timeout: expectedDuration ? Math.max(60000, expectedDuration * 2000) : undefined, expectedDuration };
+  }
+
+  /**
+   * Wait for a job in the foreground: Ctrl+C stops it, Ctrl+Z moves it to the background
+   * @param {Object} job - From JobManager.start()
+   * @param {Object} [options]
+   * @param {boolean} [options.allowBackground] - Whether Ctrl+Z may move it (default true)
+   * @param {function(string): void} [options.onOutput] - Gets its output while it runs in the foreground
+   * @returns {Promise<Object>} - The command's result, or {background: <job number>, ...}
+   *   with the output so far once it was moved to the background
+   */
+  waitForJob(job, { allowBackground = true, onOutput = null } = {}) {
+    return new Promise((resolve, reject) => {
+      job.onOutput = onOutput;
+      const restoreInterrupt = this.cli.onInterrupt(() => this.jobs.kill(job));
+      const restoreSuspend = allowBackground ? this.cli.onSuspend(() => {
+        cleanup();
+        this.jobs.background(job);
+        resolve({
+          stdout: job.stdout.trim(),
+          stderr: job.stderr.trim(),
+          exitCode: null,
+          aborted: false,
+          background: job.id,
+        });
+      }) : () => {};
+      const cleanup = () => {
+        job.onOutput = null;
+        restoreInterrupt();
+        restoreSuspend();
+      };
+
+      job.promise.then((result) => {
+        cleanup();
+        resolve(result);
+      }, (err) => {
+        cleanup();
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Execute a streaming command via SSH (for commands like pm2 logs, tail -f, etc.)
+   */
+  async executeStreamingCommand(command, requiresSudo = false, explanation = '', details = {}) {
+    const session = this.activeSession;
+    const hostCommand = session.wrapCommand(command);
+    const options = {
+      onData: (text) => this.cli.printStreamingLine(text),
+      onError: (text) => this.cli.printStreamingLine(text),
+    };
+
+    try {
+      const result = await this.withSudoPassword(session, requiresSudo, async (sudoPassword) => {
+        // Print the streaming header
+        this.cli.printStreamingHeader(command);
+
+        // Start the streaming command
+        const { abort, promise } = session.executor.executeStreaming(hostCommand, { ...options, sudo: requiresSudo, sudoPassword });
+
+        // Set up key capture to abort on 'q'
+        const cleanup = this.cli.startStreamingKeyCapture(() => {
+          abort();
+        });
+
+        // Wait for the command to complete (or be aborted)
+        const streamResult = await promise;
+
+        // Clean up key capture
+        cleanup();
+
+        // Print the footer
+        this.cli.printStreamingFooter(streamResult.aborted);
+        return streamResult;
+      });
+
+      // Log the command output
+      session.contextManager.addCommandOutput(
+        command,
+        result.stdout + (result.stderr ? '\n' + result.stderr : ''),
+        result.exitCode,
+        { explanation, sudo: requiresSudo, streaming: true, target: session.execTarget?.label, ...details }
+      );
+
+      return result;
+    } catch (err) {
+      return {
+        stdout: '',
+        stderr: err.message,
+        exitCode: 1,
+        aborted: false,
+      };
+    }
+  }
+
+  /**
+   * Run an interactive program (vim, htop, less, ...) in a remote PTY with the
+   * local terminal passed straight through, until the program exits.
+   * On a local session the program gets the terminal itself.
+   */
+  async executeInteractiveCommand(command, requiresSudo = false, explanation = '', details = {}) {
+    const session = this.activeSession;
+    let release = null;
+
+    // Don't start a program nobody can type into or quit
+    if (!process.stdin.isTTY) {
+      return {
+        stdout: '',
+        stderr: 'Not executed: interactive programs need a terminal, and Klaus is not running in one',
+        exitCode: 1,
+        aborted: false,
+      };
+    }
+
+    try {
+      this.cli.printInteractiveHeader(command);
+
+      if (session.executor.isLocal) {
+        release = this.cli.releaseTerminal();
+      }
+
+      const terminal = await session.executor.executeInteractive(session.wrapCommand(command, { tty: true }), {
+        sudo: requiresSudo,
+        sudoPassword: session.sudoPassword,
+        rows: process.stdout.rows,
+        cols: process.stdout.columns,
+        term: process.env.TERM,
+        onData: (text) => process.stdout.write(text),
+      });
+
+      const cleanup = release || this.cli.startPassthrough(
+        (data) => terminal.write(data),
+        (rows, cols) => terminal.resize(rows, cols)
+      );
+      const { exitCode } = await terminal.promise;
+      cleanup();
+
+      this.cli.printInteractiveFooter(exitCode);
+
+      // The screen contents are not worth keeping - only that it ran
+      const result = {
+        stdout: '(interactive program - the output went to the user\'s terminal and was not captured)',
+        stderr: '',
+        exitCode,
+        aborted: false,
+      };
+      session.contextManager.addCommandOutput(
+        command,
+        result.stdout,
+        exitCode,
+        { explanation, sudo: requiresSudo, interactive: true, target: session.execTarget?.label, ...details }
+      );
+
+      return result;
+    } catch (err) {
+      if (release) {
+        release();
+      }
+      return {
+        stdout: '',
+        stderr: err.message,
+        exitCode: 1,
+        aborted: false,
+      };
+    }
+  }
+
+  /**
+   * Run a command, asking for the sudo password again when sudo rejects it
+   * (or needs one on a host without NOPASSWD) instead of failing the command
+   * @param {Session} session - Holds the sudo password; updated with the new one
+   * @param {boolean} requiresSudo - Whether the command runs with sudo
+   * @param {function(string): Promise<Object>} run - Executes the command with a sudo password
+   */
+  async withSudoPassword(session, requiresSudo, run) {
+    for (let attempt = 1; ; attempt++) {
+      const result = await run(session.sudoPassword);
+      if (!requiresSudo || !result.sudoError || attempt > this.maxSudoAttempts) {
+        return result;
+      }
+
+      this.cli.print(
+        result.sudoError === 'wrong_password'
+          ? `Sudo password for ${session.name} was rejected.`
+          : `sudo on ${session.name} needs a password.`,
+        'warning'
+      );
+      const sudoPass = await this.cli.promptPassword(`Sudo password for ${session.name} (Enter to give up)`);
+      if (!sudoPass) {
+        return result;
+      }
+      session.sudoPassword = sudoPass;
+    }
+  }
+
+  /**
+   * Execute a command on every host of a group (inventory tag) in parallel
+   * @returns {Promise<string>} - Tool result content for the LLM
+   */
+  async executeGroupCommand({ group, command, requires_sudo, explanation }) {
+    const profiles = this.hostInventory.list(group);
+    if (profiles.length === 0) {
+      return `No hosts tagged "${group}" in the host inventory.`;
+    }
+
+    const names = profiles.map(p => p.name);
+    const risk = this.riskAnalyzer.analyze(command);
+    this.cli.printCommandExecution(command, `${explanation} (on ${names.length} hosts tagged "${group}": ${names.join(', ')})`, risk);
+
+    // The policy is per host: denied hosts are left out, the strictest remaining decision applies
+    const allowed = [];
+    const skipped = [];
+    const actions = new Set();
+    for (const profile of profiles) {
+      const context = { host: profile.name, sudo: !!requires_sudo };
+      const decision = this.commandPolicy.evaluate(command, context);
+      await this.commandPolicy.logDecision(command, context, decision);
+
+      if (decision.action === 'deny') {
+        this.cli.print(`  ${profile.name}: denied by policy: ${decision.reason}`, 'error');
+        skipped.push({ name: profile.name, stdout: '', stderr: '', exitCode: null, error: `Denied by policy: ${decision.reason}` });
+      } else {
+        allowed.push(profile);
+        actions.add(decision.action);
+      }
+    }
+
+    if (allowed.length === 0) {
+      return `Command refused by policy on all hosts tagged "${group}". Do not retry it - tell the user.`;
+    }
+
+    const typed = actions.has('require_typed_confirm') || risk.level === 'high';
+    const withoutConfirm = !typed && actions.size === 1 && actions.has('allow_without_confirm');
+    if (withoutConfirm) {
+      this.cli.print('  Allowed by policy without confirmation', 'info');
+    } else {
+      const confirmed = await this.confirmCommand(typed, `Execute this command on ${allowed.length} hosts?`, [group]);
+      if (!confirmed) {
+        return 'User declined to execute this command.';
+      }
+    }
+
+    const options = {};
+    if (requires_sudo) {
+      if (!this.groupSudoPasswords.has(group)) {
+        // Empty means sudo -n, for groups with NOPASSWD sudo
+        const sudoPass = await this.cli.promptPassword(`Sudo password for hosts tagged "${group}" (Enter for NOPASSWD)`);
+        this.groupSudoPasswords.set(group, sudoPass);
+      }
+      options.sudo = true;
+      options.sudoPassword = this.groupSudoPasswords.get(group);
+    }
+
+    // Collect credentials up front so prompts don't interleave with parallel work
+    const targets = [];
+    const passphrases = new Map();
+    for (const profile of allowed) {
+      try {
+        targets.push({ name: profile.name, sshConfig: await this.buildProfileSshConfig(profile, passphrases) });
+      } catch (err) {
+        skipped.push({ name: profile.name, stdout: '', stderr: '', exitCode: null, error: err.message });
+      }
+    }
+
+    const spinner = this.cli.startSpinner(`Executing on ${targets.length} hosts...`);
+    const results = [...skipped, ...await this.fanOut.run(targets, command, options)];
+    const failed = results.filter(r => r.exitCode !== 0).length;
+    spinner.stop(failed === 0);
+
+    const groups = FanOutExecutor.groupResults(results);
+    this.cli.printGroupResults(groups, results.length);
+
+    const sudoRejected = results.filter(r => r.sudoError).map(r => r.name);
+    if (sudoRejected.length > 0) {
+      // Ask again next time instead of sending a password that does not work
+      this.groupSudoPasswords.delete(group);
+      this.cli.print(`sudo did not accept the password on: ${sudoRejected.join(', ')}`, 'warning');
+    }
+
+    this.activeSession.contextManager.addCommandOutput(
+      command,
+      groups.map(g => `${g.hosts.length} hosts (${g.hosts.join(', ')}): exit ${g.exitCode ?? 'n/a'}\n${g.error || g.stdout}`).join('\n\n'),
+      failed === 0 ? 0 : 1,
+      { explanation, sudo: !!requires_sudo, group }
+    );
+
+    return JSON.stringify({
+      group,
+      hosts: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results: groups.map(g => ({
+        hosts: g.hosts,
+        exitCode: g.exitCode,
+        stdout: this.truncateOutput(g.stdout),
+        stderr: this.truncateOutput(g.stderr),
+        error: g.error,
+      })),
+    });
+  }
+
+  /**
+   * Shorten output that goes back to the LLM as part of a summary
+   */
+  truncateOutput(text, maxLength = 500) {
+    if (!text || text.length <= maxLength) return text;
+    return text.slice(0, maxLength) + `... (${text.length - maxLength} more characters)`;
+  }
+
+  /**
+   * Show a proposed command and decide whether it may run: the command policy
+   * first, then the user's confirmation
+   * @returns {Promise<{approved: boolean, refusal: string|null}>} - refusal is the
+   *   policy's reason when the command was denied
+   */
+  async approveCommand(command, explanation, requiresSudo, { mode = 'normal', risk = this.riskAnalyzer.analyze(command), preview, question = 'Execute this command?', target = this.activeSession.execTarget?.label } = {}) {
+    const context = { host: this.activeSession.name, sudo: !!requiresSudo };
+    const decision = this.commandPolicy.evaluate(command, context);
+    await this.commandPolicy.logDecision(command, context, decision);
+
+    this.cli.printCommandExecution(command, explanation, risk, target);
+    if (preview) {
+      preview();
+    }
+
+    const contextManager = this.activeSession.contextManager;
+    const details = { explanation, sudo: !!requiresSudo };
+
+    if (decision.action === 'deny') {
+      this.cli.print(`  Denied by policy: ${decision.reason}`, 'error');
+      contextManager.addSkippedCommand(command, 'refused', { ...details, reason: decision.reason });
+      return { approved: false, refusal: decision.reason };
+    }
+
+    if (mode === 'streaming') {
+      this.cli.print('  (streaming command - press \'q\' to stop)', 'warning');
+    } else if (mode === 'interactive') {
+      this.cli.print('  (interactive program - you get the keyboard until it exits)', 'warning');
+    }
+
+    // Policy can waive the confirmation, but never for high-risk commands
+    if (decision.action === 'allow_without_confirm' && risk.level !== 'high') {
+      this.cli.print('  Allowed by policy without confirmation', 'info');
+      return { approved: true, refusal: null };
+    }
+
+    const typed = decision.action === 'require_typed_confirm' || risk.level === 'high';
+    const approved = await this.confirmCommand(typed, question);
+    if (!approved) {
+      contextManager.addSkippedCommand(command, 'declined', details);
+    }
+    return { approved, refusal: null };
+  }
+
+  /**
+   * Ask before running a command. High-risk commands need the target's name
+   * (or the word "execute") typed out instead of a quick "y".
+   * @param {boolean} typed - Whether a typed confirmation is required
+   * @param {string} question - The yes/no question for normal commands
+   * @param {string[]} [targetNames] - Accepted names (default: the active session's name and host)
+   */
+  async confirmCommand(typed, question, targetNames) {
+    if (!typed) {
+      return this.cli.confirm(question);
+    }
+
+    const names = targetNames || [this.activeSession.name, this.activeSession.sshConfig.host];
+    return this.cli.confirmTyped([...new Set(names)], 'execute');
+  }
+
+  /**
+   * Run an approved command and show its output
+   * @param {Object} [timing] - From commandTiming()
+   */
+  async runCommand(command, requiresSudo, mode, explanation, { timeout, expectedDuration } = {}) {
+    // Save the files the command is about to change
+    const backup = await this.backupBeforeChange(command, requiresSudo, this.riskAnalyzer.modifiedFiles(command), explanation);
+    if (backup === false) {
+      return { stdout: '', stderr: 'Not executed: the backup failed and the user chose not to run it without one.', exitCode: 1, aborted: false };
+    }
+    const details = backup ? { backup: backup.backupDir } : {};
+    if (timeout) {
+      // Kept in exported runbooks, so /run gives the step the same time
+      details.timeout = timeout / 1000;
+    }
+
+    if (mode === 'interactive') {
+      // Full-screen programs get a PTY and the keyboard
+      return this.executeInteractiveCommand(command, requiresSudo, explanation, details);
+    }
+
+    if (mode === 'streaming') {
+      // Use streaming execution for continuous output commands
+      return this.executeStreamingCommand(command, requiresSudo, explanation, details);
+    }
+
+    // Use regular execution
+    this.cli.print('Ctrl+C stops the command, Ctrl+Z moves it to the background', 'command');
+    const spinner = this.cli.startSpinner(expectedDuration
+      ? `Executing (expected ~${this.cli.formatDuration(expectedDuration)})...`
+      : 'Executing...');
+    const result = await this.executeCommand(command, requiresSudo, explanation, details, { timeout, onOutput: spinner.output });
+    if (result.background) {
+      spinner.stop(null);
+      this.cli.print(`[${result.background}] moved to the background - /jobs lists it, /fg ${result.background} waits for it`, 'info');
+      return result;
+    }
+    spinner.stop(result.exitCode === 0);
+    this.cli.printCommandOutput(result.stdout, result.stderr, result.exitCode);
+    return result;
+  }
+
+  /**
+   * Back up the files a change is about to modify into a new backup directory
+   * on the host and put the change on the session's undo stack
+   * @param {string} command - The command (or write_file <path>) as logged
+   * @param {boolean} requiresSudo - Whether the change runs with sudo (the backup does too)
+   * @param {string[]} files - Absolute paths of the files it modifies
+   * @param {string} explanation - Logged if the user cancels the change
+   * @returns {Promise<Object|null|false>} - The undo entry, null if there was
+   *   nothing to back up, false if the backup failed and the user cancelled the change
+   */
+  async backupBeforeChange(command, requiresSudo, files, explanation = '') {
+    const session = this.activeSession;
+    if (files.length === 0) {
+      return null;
+    }
+
+    const backupDir = this.backupManager.newBackupDir(session.name);
+    const script = this.backupManager.backupScript(backupDir, files);
+    let result;
+    try {
+      result = await this.withSudoPassword(session, requiresSudo, (sudoPassword) =>
+        session.executor.execute(session.wrapCommand(`sh -c ${this.backupManager.quote(script)}`), { sudo: requiresSudo, sudoPassword })
+      );
+    } catch (err) {
+      result = { exitCode: 1, stderr: err.message };
+    }
+
+    if (result.exitCode !== 0) {
+      this.cli.print(`Backup of ${files.join(', ')} failed: ${result.stderr}`, 'error');
+      const runAnyway = await this.cli.confirm('Run it without a backup?');
+      if (!runAnyway) {
+        session.contextManager.addSkippedCommand(command, 'declined', { explanation, sudo: !!requiresSudo });
+      }
+      return runAnyway ? null : false;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      command,
+      sudo: !!requiresSudo,
+      backupDir,
+      files: this.backupManager.parseBackupOutput(result.stdout),
+    };
+    if (session.execTarget) {
+      // The backup is inside the container and only restorable from there
+      entry.target = session.execTarget.label;
+    }
+    if (!this.backupManager.isRestorable(entry)) {
+      return null;
+    }
+
+    session.undoStack.push(entry);
+    const saved = entry.files.filter(f => f.state === 'saved').length;
+    this.cli.print(`  Backed up ${saved} file${saved === 1 ? '' : 's'} to ${backupDir} (/undo reverts)`, 'info');
+    return entry;
+  }
+
+  /**
+   * Handle /undo (revert the last backed-up change) and /undo list
+   */
+  async handleUndo([sub]) {
+    const session = this.activeSession;
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
+
+    if (sub === 'list') {
+      this.cli.printUndoList(session.undoStack);
+      return;
+    }
+    if (sub) {
+      this.cli.print('Usage: /undo [list]', 'error');
+      return;
+    }
+
+    const entry = session.undoStack[session.undoStack.length - 1];
+    if (!entry) {
+      this.cli.print('Nothing to undo', 'info');
+      return;
+    }
+    if (!session.isConnected) {
+      this.cli.print(`Session ${session.name} is disconnected. Use /connect to reconnect.`, 'warning');
+      return;
+    }
+    if ((entry.target || null) !== (session.execTarget?.label || null)) {
+      this.cli.print(`The last change was made ${entry.target ? `in ${entry.target}` : 'on the host'} - switch there with /target first.`, 'warning');
+      return;
+    }
+
+    this.cli.printUndoList([entry]);
+    const confirmed = await this.cli.confirm(`Revert this change on ${session.name}?`);
+    if (!confirmed) {
+      return;
+    }
+
+    const restore = `sh -c ${this.backupManager.quote(this.backupManager.restoreScript(entry))}`;
+    const spinner = this.cli.startSpinner('Restoring...');
+    const result = await this.executeCommand(
+      restore,
+      entry.sudo,
+      `Undo: restore the files changed by ${entry.command.split('\n')[0]} from ${entry.backupDir}`,
+      { backup: entry.backupDir, undo: true },
+      { allowBackground: false }
+    );
+    spinner.stop(result.exitCode === 0);
+
+    if (result.exitCode !== 0) {
+      this.cli.printCommandOutput(result.stdout, result.stderr, result.exitCode);
+      this.cli.print('Undo failed - the change is still on the undo stack', 'error');
+      return;
+    }
+
+    session.undoStack.pop();
+    this.cli.print(`Reverted: ${entry.files.filter(f => f.state !== 'skipped').map(f => f.path).join(', ')}`, 'success');
+  }
+
+  /**
+   * The error result for a tool call whose arguments don't match its
+   * definition - small local models often send broken or incomplete ones
+   * @returns {Object|null} - A tool_result, null if the call can be run
+   */
+  invalidToolCall(toolCall) {
+    const error = this.llmClient.toolInputError(toolCall);
+    if (!error) return null;
+    this.cli.print(`Klaus sent invalid arguments for ${toolCall.name}: ${error}`, 'warning');
+    return {
+      type: 'tool_result',
+      tool_use_id: toolCall.id,
+      content: `Invalid arguments: ${error}. Nothing was run - call the tool again with arguments that match its definition.`,
+    };
+  }
+
+  /**
+   * In plan mode: record the proposed commands instead of running them
+   */
+  async recordToolCalls(toolCalls) {
+    const plan = this.activeSession.plan;
+    const dryRun = 'Dry-run (plan mode): recorded in the plan, NOT executed. Continue planning as if it succeeded, but do not assume any output.';
+    const results = [];
+
+    const execTarget = this.activeSession.execTarget?.label;
+
+    const record = (step) => {
+      if (!step.group && execTarget) {
+        step.target = execTarget;
+      }
+      plan.push(step);
+      const target = step.group ? ` (on hosts tagged "${step.group}")` : '';
+      this.cli.printCommandExecution(step.command, `[plan step ${plan.length}] ${step.explanation}${target}`, this.riskAnalyzer.analyze(step.command), step.target);
+    };
+
+    for (const toolCall of toolCalls) {
+      const invalid = this.invalidToolCall(toolCall);
+      if (invalid) {
+        results.push(invalid);
+        continue;
+      }
+
+      if (toolCall.name === 'execute_command' || toolCall.name === 'execute_on_group') {
+        const { command, explanation, requires_sudo, is_streaming, is_interactive, group, expected_duration, timeout_seconds } = toolCall.input;
+        record({ command, explanation, requires_sudo: !!requires_sudo, is_streaming: !!is_streaming, is_interactive: !!is_interactive, group, expected_duration, timeout_seconds });
+        results.push({ type: 'tool_result', tool_use_id: toolCall.id, content: dryRun });
+      } else if (toolCall.name === 'execute_command_sequence') {
+        for (const cmd of toolCall.input.commands) {
+          record({ command: cmd.command, explanation: cmd.explanation, requires_sudo: !!cmd.requires_sudo, is_streaming: !!cmd.is_streaming, is_interactive: !!cmd.is_interactive, expected_duration: cmd.expected_duration, timeout_seconds: cmd.timeout_seconds });
+        }
+        results.push({ type: 'tool_result', tool_use_id: toolCall.id, content: dryRun });
+      } else if (toolCall.name === 'list_containers') {
+        results.push({ type: 'tool_result', tool_use_id: toolCall.id, content: await this.listContainersTool(toolCall.input) });
+      } else if (toolCall.name === 'remember') {
+        // Notes live on this machine, not on the host - nothing to plan
+        results.push({ type: 'tool_result', tool_use_id: toolCall.id, content: await this.rememberTool(toolCall.input) });
+      } else if (toolCall.name === 'write_file' && execTarget) {
+        results.push({ type: 'tool_result', tool_use_id: toolCall.id, content: await this.handleFileTool(toolCall) });
+      } else if (toolCall.name === 'write_file') {
+        const { path: filePath, content, requires_sudo, explanation } = toolCall.input;
+        plan.push({ tool: 'write_file', command: `write_file ${filePath}`, path: filePath, content, explanation, requires_sudo: !!requires_sudo });
+        this.cli.printCommandExecution(`write_file ${filePath}`, `[plan step ${plan.length}] ${explanation}`, this.riskAnalyzer.analyzeFileWrite(filePath));
+        results.push({ type: 'tool_result', tool_use_id: toolCall.id, content: dryRun });
+      } else {
+        // Reading files and directories changes nothing - also in plan mode
+        results.push({ type: 'tool_result', tool_use_id: toolCall.id, content: await this.handleFileTool(toolCall) });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Handle the /plan command
+   */
+  async handlePlanCommand([sub, ...rest]) {
+    const session = this.activeSession;
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
+
+    switch (sub) {
+      case 'on':
+        session.planMode = true;
+        this.cli.print(`Plan mode on for ${session.name}: commands are recorded, not executed. Use /plan show, /plan save <file> or /plan apply.`, 'success');
+        break;
+
+      case 'off':
+        session.planMode = false;
+        this.cli.print(`Plan mode off for ${session.name}`, 'success');
+        break;
+
+      case 'show':
+      case undefined:
+        this.cli.print(`Plan mode is ${session.planMode ? 'on' : 'off'} on ${session.name}`, 'info');
+        this.cli.printPlan(session.plan);
+        break;
+
+      case 'save':
+        await this.savePlan(rest.join(' '));
+        break;
+
+      case 'apply':
+        await this.applyPlan();
+        break;
+
+      case 'clear':
+        session.plan = [];
+        this.cli.print('Plan cleared', 'success');
+        break;
+
+      default:
+        this.cli.print('Usage: /plan on|off|show|save <file>|apply|clear', 'error');
+    }
+  }
+
+  /**
+   * Write the recorded plan as a commented bash script
+   */
+  async savePlan(file) {
+    const session = this.activeSession;
+    if (!file) {
+      this.cli.print('Usage: /plan save <file>', 'error');
+      return;
+    }
+    if (session.plan.length === 0) {
+      this.cli.print('The plan is empty', 'warning');
+      return;
+    }
+
+    const lines = [
+      '#!/usr/bin/env bash',
+      `# Plan recorded by Admin Klaus for ${session.name} (${session.target})`,
+      `# Saved: ${new Date().toISOString()}`,
+      '# Nothing in this plan has been executed yet. Review every step before running it.',
+      '',
+    ];
+    session.plan.forEach((step, i) => {
+      lines.push(`# ${i + 1}. ${step.explanation}`);
+      if (step.group) {
+        lines.push(`# Runs on every host tagged "${step.group}" - not part of this script:`);
+        lines.push(`# ${step.requires_sudo ? 'sudo ' : ''}${step.command}`);
+      } else if (step.tool === 'write_file') {
+        // The heredoc ends at the first line equal to its delimiter
+        const contentLines = step.content.replace(/\n$/, '').split('\n');
+        let delimiter = 'KLAUS_EOF';
+        for (let n = 1; contentLines.includes(delimiter); n++) {
+          delimiter = `KLAUS_EOF_${n}`;
+        }
+        lines.push(`${step.requires_sudo ? 'sudo ' : ''}tee ${session.executor.shellQuote(step.path)} > /dev/null <<'${delimiter}'`);
+        lines.push(...contentLines, delimiter);
+      } else {
+        if (step.is_streaming) {
+          lines.push('# Streams output until interrupted (Ctrl+C)');
+        } else if (step.is_interactive) {
+          lines.push('# Interactive program - needs a terminal');
+        }
+        if (step.target) {
+          lines.push(`# Runs in ${step.target}: ${step.command.split('\n')[0]}`);
+        }
+        const command = step.target ? ExecTarget.parse(step.target.split(' ')).wrap(step.command, { tty: !!step.is_interactive }) : step.command;
+        lines.push(`${step.requires_sudo ? 'sudo ' : ''}${command}`);
+      }
+      lines.push('');
+    });
+
+    try {
+      await fs.writeFile(this.expandPath(file), lines.join('\n'), 'utf-8');
+      this.cli.print(`Plan saved to ${file} (${session.plan.length} steps)`, 'success');
+    } catch (err) {
+      this.cli.print(`Error saving plan: ${err.message}`, 'error');
+    }
+  }
+
+  /**
+   * Run the recorded plan with the normal policy checks and confirmations
+   */
+  async applyPlan() {
+    const session = this.activeSession;
+    if (session.plan.length === 0) {
+      this.cli.print('The plan is empty', 'warning');
+      return;
+    }
+    if (!session.isConnected) {
+      this.cli.print(`Session ${session.name} is disconnected. Use /connect to reconnect.`, 'warning');
+      return;
+    }
+
+    if (session.planMode) {
+      session.planMode = false;
+      this.cli.print('Plan mode off', 'info');
+    }
+
+    await this.commandPolicy.load();
+
+    // Steps leave the plan once they are done, so a stop halfway keeps the rest
+    while (session.plan.length > 0) {
+      const step = session.plan[0];
+      let result = null;
+      if (step.group) {
+        await this.executeGroupCommand(step);
+      } else if (step.tool === 'write_file') {
+        await this.handleFileTool({ name: 'write_file', input: step });
+      } else {
+        result = await this.withExecTarget(session, step.target, async () => {
+          const mode = this.executionMode(step);
+          const { approved } = await this.approveCommand(step.command, step.explanation, step.requires_sudo, { mode });
+          return approved ? this.runCommand(step.command, step.requires_sudo, mode, step.explanation, this.commandTiming(step)) : null;
+        });
+      }
+      session.plan.shift();
+
+      if (result && result.exitCode !== 0 && !result.aborted && !result.background && session.plan.length > 0) {
+        this.cli.print('Command failed!', 'error');
+        const shouldContinue = await this.cli.confirm('Continue with remaining steps?');
+        if (!shouldContinue) {
+          this.cli.print(`${session.plan.length} step(s) left in the plan - /plan apply continues, /plan clear drops them`, 'warning');
+          return;
+        }
+      }
+    }
+
+    this.cli.print('Plan applied', 'success');
+  }
+
+  /**
+   * Handle tool calls from the LLM
+   */
+  async handleToolCalls(toolCalls) {
+    if (this.activeSession?.planMode) {
+      return this.recordToolCalls(toolCalls);
+    }
+
+    const results = [];
+
+    // Pick up policy edits without a restart
+    await this.commandPolicy.load();
+    if (this.commandPolicy.error) {
+      this.cli.print(`${this.commandPolicy.error} - all commands are denied until it is fixed`, 'error');
+    }
+
+    for (const [index, toolCall] of toolCalls.entries()) {
+      const invalid = this.invalidToolCall(toolCall);
+      if (invalid) {
+        results.push(invalid);
+        continue;
+      }
+
+      if (toolCall.name === 'execute_command') {
+        const { command, requires_sudo, explanation } = toolCall.input;
+        const mode = this.executionMode(toolCall.input);
+
+        // Check the policy and ask for confirmation
+        const { approved, refusal } = await this.approveCommand(command, explanation, requires_sudo, { mode });
+
+        if (refusal) {
+          results.push({
+            type: 'tool_result',
+            tool_use_id: toolCall.id,
+            content: `Command refused by policy: ${refusal}. Do not retry it - tell the user.`,
           });
           continue;
         }
 
-        let result;
-
-        if (shouldStream) {
-          // Use streaming execution for continuous output commands
-          result = await this.executeStreamingCommand(command, requires_sudo);
-        } else {
-          // Use regular execution
-          const spinner = this.cli.startSpinner('Executing...');
-          result = await this.executeCommand(command, requires_sudo);
-          spinner.stop(result.exitCode === 0);
-          this.cli.printCommandOutput(result.stdout, result.stderr, result.exitCode);
+        if (!approved) {
+          results.push({
+            type: 'tool_result',
+            tool_use_id: toolCall.id,
+            content: 'User declined to execute this command.',
+          });
+          continue;
         }
 
+        const result = await this.runCommand(command, requires_sudo, mode, explanation, this.commandTiming(toolCall.input));
+
         results.push({
           type: 'tool_result',
           tool_use_id: toolCall.id,
-          content: JSON.stringify({
-            exitCode: result.exitCode,
-            stdout: result.stdout,
-            stderr: result.stderr,
-            success: result.exitCode === 0,
-            aborted: result.aborted || false,
-          }),
+          content: JSON.stringify(this.commandResult(result)),
         });
 
         // If command failed (and wasn't intentionally aborted), ask user what to do
-        if (result.exitCode !== 0 && !result.aborted) {
+        if (result.exitCode !== 0 && !result.aborted && !result.background) {
           this.cli.print('Command failed!', 'error');
           const shouldContinue = await this.cli.confirm('Continue with next commands?');
           if (!shouldContinue) {
-            results.push({
-              type: 'tool_result',
-              tool_use_id: toolCall.id,
-              content: 'User chose to abort after command failure.',
-            });
+            // Every tool call needs exactly one result, or the API rejects the next call
+            results[results.length - 1].content += '\nUser chose to abort after this command failed.';
+            for (const skipped of toolCalls.slice(index + 1)) {
+              results.push({
+                type: 'tool_result',
+                tool_use_id: skipped.id,
+                content: 'Not run: the user aborted after a failed command.',
+              });
+            }
             break;
           }
         }
@@ -454,17 +2174,19 @@ class AdminKlaus {
         const sequenceResults = [];
 
         for (const cmd of commands) {
-          // Auto-detect streaming commands as fallback
-          const shouldStream = cmd.is_streaming || this.isStreamingCommand(cmd.command);
+          const mode = this.executionMode(cmd);
 
-          this.cli.printCommandExecution(cmd.command, cmd.explanation);
-
-          if (shouldStream) {
-            this.cli.print('  (streaming command - press \'q\' to stop)', 'warning');
+          const { approved, refusal } = await this.approveCommand(cmd.command, cmd.explanation, cmd.requires_sudo, { mode });
+          if (refusal) {
+            sequenceResults.push({
+              command: cmd.command,
+              skipped: true,
+              reason: `Refused by policy: ${refusal}`,
+            });
+            continue;
           }
 
-          const confirmed = await this.cli.confirm('Execute this command?');
-          if (!confirmed) {
+          if (!approved) {
             sequenceResults.push({
               command: cmd.command,
               skipped: true,
@@ -473,27 +2195,14 @@ class AdminKlaus {
             continue;
           }
 
-          let result;
-
-          if (shouldStream) {
-            result = await this.executeStreamingCommand(cmd.command, cmd.requires_sudo);
-          } else {
-            const spinner = this.cli.startSpinner('Executing...');
-            result = await this.executeCommand(cmd.command, cmd.requires_sudo);
-            spinner.stop(result.exitCode === 0);
-            this.cli.printCommandOutput(result.stdout, result.stderr, result.exitCode);
-          }
+          const result = await this.runCommand(cmd.command, cmd.requires_sudo, mode, cmd.explanation, this.commandTiming(cmd));
 
           sequenceResults.push({
             command: cmd.command,
-            exitCode: result.exitCode,
-            stdout: result.stdout,
-            stderr: result.stderr,
-            success: result.exitCode === 0,
-            aborted: result.aborted || false,
+            ...this.commandResult(result),
           });
 
-          if (result.exitCode !== 0 && !result.aborted) {
+          if (result.exitCode !== 0 && !result.aborted && !result.background) {
             this.cli.print('Command failed!', 'error');
             const shouldContinue = await this.cli.confirm('Continue with remaining commands?');
             if (!shouldContinue) {
@@ -507,51 +2216,436 @@ class AdminKlaus {
           tool_use_id: toolCall.id,
           content: JSON.stringify(sequenceResults),
         });
+      } else if (toolCall.name === 'execute_on_group') {
+        results.push({
+          type: 'tool_result',
+          tool_use_id: toolCall.id,
+          content: await this.executeGroupCommand(toolCall.input),
+        });
+      } else if (toolCall.name === 'list_containers') {
+        results.push({
+          type: 'tool_result',
+          tool_use_id: toolCall.id,
+          content: await this.listContainersTool(toolCall.input),
+        });
+      } else if (toolCall.name === 'remember') {
+        results.push({
+          type: 'tool_result',
+          tool_use_id: toolCall.id,
+          content: await this.rememberTool(toolCall.input),
+        });
+      } else if (['read_file', 'list_dir', 'write_file'].includes(toolCall.name)) {
+        results.push({
+          type: 'tool_result',
+          tool_use_id: toolCall.id,
+          content: await this.handleFileTool(toolCall),
+        });
       }
     }
 
     return results;
   }
 
+  /**
+   * List the Docker containers and Kubernetes pods on the host that /target can point at
+   * @returns {Promise<string>} - Tool result content for the LLM
+   */
+  async listContainersTool({ requires_sudo, explanation }) {
+    const session = this.activeSession;
+    const { approved, refusal } = await this.approveCommand('list_containers', explanation, requires_sudo, { question: 'List containers and pods?', target: null });
+    if (!approved) {
+      return refusal ? `Refused by policy: ${refusal}. Do not retry it - tell the user.` : 'User declined to list containers.';
+    }
+
+    const commands = ExecTarget.listCommands();
+    const run = (command) => this.withSudoPassword(session, requires_sudo, (sudoPassword) =>
+      session.executor.execute(command, { sudo: !!requires_sudo, sudoPassword })
+    ).catch(err => ({ exitCode: 1, stdout: '', stderr: err.message }));
+
+    // Always on the host, whatever /target points at
+    const docker = await run(commands.containers);
+    const pods = await run(commands.pods);
+
+    const result = {};
+    result.containers = docker.exitCode === 0
+      ? ExecTarget.parseList(docker.stdout, ['name', 'image', 'status'], '\t')
+      : { error: docker.stderr.split('\n')[0] || `exit ${docker.exitCode}` };
+    result.pods = pods.exitCode === 0
+      ? ExecTarget.parseList(pods.stdout, ['namespace', 'name', 'status'], /\s+/)
+      : { error: pods.stderr.split('\n')[0] || `exit ${pods.exitCode}` };
+    if (session.execTarget) {
+      result.current_target = session.execTarget.label;
+    }
+
+    const count = (list) => (Array.isArray(list) ? list.length : 0);
+    this.cli.print(`  ${count(result.containers)} containers, ${count(result.pods)} pods on ${session.name}`, 'info');
+    return JSON.stringify(result);
+  }
+
+  /**
+   * Run one of the SFTP file tools: read_file, list_dir or write_file
+   * @returns {Promise<string>} - Tool result content for the LLM
+   */
+  async handleFileTool({ name, input }) {
+    if (!input.path || !input.path.startsWith('/')) {
+      return JSON.stringify({ error: 'path must be an absolute path' });
+    }
+    const execTarget = this.activeSession.execTarget;
+    if (execTarget) {
+      return JSON.stringify({ error: `${name} works on the host's files, not inside ${execTarget.label} - use execute_command (cat, ls, tee) there` });
+    }
+
+    try {
+      switch (name) {
+        case 'read_file':
+          return await this.readFileTool(input);
+        case 'list_dir':
+          return await this.listDirTool(input);
+        case 'write_file':
+          return await this.writeFileTool(input);
+      }
+    } catch (err) {
+      this.cli.print(`${name} failed: ${err.message}`, 'error');
+      return JSON.stringify({ error: err.message });
+    }
+  }
+
+  /**
+   * Read (part of) a remote file
+   */
+  async readFileTool({ path: filePath, start_line, end_line, offset, length, explanation }) {
+    const session = this.activeSession;
+    const byLines = start_line !== undefined || end_line !== undefined;
+    const range = byLines
+      ? ` (lines ${start_line || 1}-${end_line || 'end'})`
+      : offset !== undefined || length !== undefined ? ` (bytes ${offset || 0}+${length || this.maxReadBytes})` : '';
+
+    const { approved, refusal } = await this.approveCommand(`read_file ${filePath}${range}`, explanation, false, { question: 'Read this file?' });
+    if (!approved) {
+      return refusal ? `Refused by policy: ${refusal}. Do not retry it - tell the user.` : 'User declined to read this file.';
+    }
+
+    const stat = await session.executor.statFile(filePath);
+    if (!stat) {
+      return JSON.stringify({ error: `${filePath} does not exist` });
+    }
+    if (stat.isDirectory) {
+      return JSON.stringify({ error: `${filePath} is a directory - use list_dir` });
+    }
+
+    const result = { path: filePath, size: stat.size };
+    let data;
+    if (byLines) {
+      if (stat.size > this.maxLineRangeBytes) {
+        return JSON.stringify({ error: `${filePath} is too large for a line range (${stat.size} bytes) - use offset and length` });
+      }
+      const text = (await session.executor.readFile(filePath)).toString('utf-8');
+      const lines = text.split('\n');
+      if (text.endsWith('\n')) lines.pop();
+      const first = Math.max(1, start_line || 1);
+      const last = Math.min(lines.length, end_line || lines.length);
+      data = Buffer.from(lines.slice(first - 1, last).join('\n'), 'utf-8');
+      Object.assign(result, { start_line: first, end_line: last, total_lines: lines.length });
+    } else {
+      const start = offset || 0;
+      const size = Math.min(length || this.maxReadBytes, this.maxReadBytes);
+      data = stat.size > start ? await session.executor.readFile(filePath, { start, end: start + size - 1 }) : Buffer.alloc(0);
+      Object.assign(result, { offset: start, bytes: data.length, truncated: start + data.length < stat.size });
+    }
+
+    if (data.includes(0)) {
+      result.binary = true;
+      result.content_base64 = data.toString('base64');
+    } else {
+      result.content = data.toString('utf-8');
+    }
+
+    this.cli.print(`  Read ${data.length} bytes from ${filePath}`, 'info');
+    return JSON.stringify(result);
+  }
+
+  /**
+   * List a remote directory with metadata
+   */
+  async listDirTool({ path: dirPath, explanation }) {
+    const { approved, refusal } = await this.approveCommand(`list_dir ${dirPath}`, explanation, false, { question: 'List this directory?' });
+    if (!approved) {
+      return refusal ? `Refused by policy: ${refusal}. Do not retry it - tell the user.` : 'User declined to list this directory.';
+    }
+
+    const entries = await this.activeSession.executor.readDir(dirPath);
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    this.cli.print(`  ${entries.length} entries in ${dirPath}`, 'info');
+    return JSON.stringify({
+      path: dirPath,
+      count: entries.length,
+      entries: entries.slice(0, 1000).map(e => ({
+        name: e.name,
+        type: e.type,
+        size: e.size,
+        mode: e.mode.toString(8).padStart(4, '0'),
+        owner: e.owner,
+        group: e.group,
+        modified: new Date(e.mtime * 1000).toISOString(),
+      })),
+      truncated: entries.length > 1000,
+    });
+  }
+
+  /**
+   * Replace a remote file after the user approved the diff
+   */
+  async writeFileTool({ path: filePath, content, requires_sudo, explanation }) {
+    const session = this.activeSession;
+    const executor = session.executor;
+
+    const stat = await executor.statFile(filePath);
+    if (stat?.isDirectory) {
+      return JSON.stringify({ error: `${filePath} is a directory` });
+    }
+    const sudo = !!requires_sudo || await this.fileNeedsSudo(executor, filePath, stat);
+
+    const current = stat ? await this.readCurrentFile(session, filePath, sudo) : '';
+    if (current === null) {
+      return JSON.stringify({ error: `${filePath} is a binary file - write_file only replaces text files` });
+    }
+    if (current === content) {
+      this.cli.print(`  ${filePath} already has this content - nothing to write`, 'info');
+      return JSON.stringify({ path: filePath, written: false, message: 'The file already has this content.' });
+    }
+
+    const diff = this.textDiff.unified(current, content, { fromFile: stat ? filePath : '/dev/null', toFile: filePath });
+    const { approved, refusal } = await this.approveCommand(`write_file ${filePath}`, explanation, sudo, {
+      risk: this.riskAnalyzer.analyzeFileWrite(filePath),
+      preview: () => this.cli.printDiff(diff.text),
+      question: 'Write this file?',
+    });
+    if (!approved) {
+      return refusal ? `Refused by policy: ${refusal}. Do not retry it - tell the user.` : 'User declined this change. The file was not written.';
+    }
+
+    const backup = await this.backupBeforeChange(`write_file ${filePath}`, sudo, [filePath], explanation);
+    if (backup === false) {
+      return 'The backup failed and the user chose not to write the file without one.';
+    }
+
+    const result = await this.withSudoPassword(session, sudo, (sudoPassword) =>
+      executor.writeFileAtomic(filePath, content, { stat, sudo, sudoPassword })
+    );
+
+    session.contextManager.addCommandOutput(
+      `write_file ${filePath}`,
+      result.exitCode === 0 ? diff.text : result.stderr,
+      result.exitCode,
+      { explanation, sudo, tool: 'write_file', backup: backup?.backupDir }
+    );
+
+    if (result.exitCode !== 0) {
+      this.cli.print(`Writing ${filePath} failed: ${result.stderr}`, 'error');
+      return JSON.stringify({ path: filePath, written: false, error: result.stderr });
+    }
+
+    this.cli.print(`  ${stat ? 'Updated' : 'Created'} ${filePath} (+${diff.added} -${diff.removed} lines)`, 'success');
+    return JSON.stringify({ path: filePath, written: true, created: !stat, added: diff.added, removed: diff.removed, sudo });
+  }
+
+  /**
+   * Files (or, for new files, directories) owned by someone else are written
+   * as root, so that their owner can be kept
+   */
+  async fileNeedsSudo(executor, filePath, stat) {
+    const uid = await executor.getRemoteUid();
+    if (uid === 0 || uid === null) return false;
+
+    const owner = stat || await executor.statFile(path.posix.dirname(filePath));
+    return !!owner && owner.uid !== uid;
+  }
+
+  /**
+   * Current contents of a file that is about to be replaced. Files the SSH
+   * user can't read (e.g. /etc/sudoers) are read with sudo.
+   * @returns {Promise<string|null>} - null for binary files, which can't be diffed
+   */
+  async readCurrentFile(session, filePath, sudo) {
+    const decode = (buffer) => (buffer.includes(0) ? null : buffer.toString('utf-8'));
+    try {
+      return decode(await session.executor.readFile(filePath));
+    } catch (err) {
+      // 3 = SFTP permission denied
+      if ((err.code !== 3 && err.code !== 'EACCES') || !sudo) throw err;
+    }
+
+    // base64 survives the output trimming of execute()
+    const result = await this.withSudoPassword(session, true, (sudoPassword) =>
+      session.executor.execute(`base64 -- ${session.executor.shellQuote(filePath)}`, { sudo: true, sudoPassword })
+    );
+    if (result.exitCode !== 0) {
+      throw new Error(`Cannot read ${filePath}: ${result.stderr}`);
+    }
+    return decode(Buffer.from(result.stdout.replace(/\s/g, ''), 'base64'));
+  }
+
+  /**
+   * What Klaus needs to know besides the active session: the other open
+   * sessions, the host groups it can fan out to, the gathered system facts and the host's notes
+   */
+  getPromptContext(session) {
+    return {
+      otherSessions: [...this.sessions.values()].filter(s => s !== session),
+      hostGroups: this.hostInventory.groups(),
+      planMode: session.planMode,
+      facts: session.facts ? this.factGatherer.render(session.facts) : '',
+      notes: session.notes,
+    };
+  }
+
+  /**
+   * Save the logs of all open sessions
+   */
+  async saveAllLogs() {
+    for (const session of this.sessions.values()) {
+      await session.saveLogs();
+    }
+  }
+
   /**
    * Process a user message through the LLM
    */
   async processMessage(message) {
-    if (!this.sshManager.isConnected) {
+    const session = this.activeSession;
+    if (!session) {
       this.cli.print('Not connected to any server. Use /connect first.', 'warning');
       return;
     }
+    if (!session.isConnected) {
+      this.cli.print(`Session ${session.name} is disconnected. Use /connect to reconnect or /use another session.`, 'warning');
+      return;
+    }
 
-    const spinner = this.cli.startSpinner('Klaus is thinking...');
+    // Klaus hears about background jobs that finished with the next message
+    const reports = session.jobReports.splice(0);
+    if (reports.length > 0) {
+      message = `${reports.map(job => this.jobReport(job)).join('\n')}\n\n${message}`;
+    }
 
-    try {
-      let response = await this.llmClient.chat(message, this.systemDescription);
-      spinner.stop(true);
+    await this.converse(session, 'Klaus is thinking...',
+      (options) => this.llmClient.chat(message, session, this.getPromptContext(session), options));
+  }
 
-      // Print the response
-      if (response.response) {
-        this.cli.printKlausResponse(response.response);
-      }
+  /**
+   * /retry - send the last turn again after it failed or was cancelled
+   */
+  async handleRetry() {
+    const session = this.activeSession;
+    if (!session) {
+      this.cli.print('Not connected to any server. Use /connect first.', 'warning');
+      return;
+    }
+    if (!session.failedTurn) {
+      this.cli.print('Nothing to retry - the last turn did not fail.', 'warning');
+      return;
+    }
+    if (!session.isConnected) {
+      this.cli.print(`Session ${session.name} is disconnected. Use /connect to reconnect or /use another session.`, 'warning');
+      return;
+    }
+
+    await this.converse(session, 'Klaus is thinking...',
+      (options) => this.llmClient.retry(session, this.getPromptContext(session), options));
+  }
+
+  /**
+   * Run a turn: get Klaus's response, then run its tool calls and send the
+   * results back until it has nothing more to do
+   * @param {Session} session - Session the turn is for
+   * @param {string} message - Spinner message for the first response
+   * @param {function(Object): Promise<Object>} generate - Gets the first response (see streamResponse())
+   */
+  async converse(session, message, generate) {
+    try {
+      let response = await this.streamResponse(session, message, generate);
 
       // Handle any tool calls
       while (response.toolCalls) {
-        const toolResults = await this.handleToolCalls(response.toolCalls);
+        // Save before running commands, so /resume knows what was in flight after a crash
+        await session.saveLogs();
+        let toolResults;
+        try {
+          toolResults = await this.handleToolCalls(response.toolCalls);
+        } catch (err) {
+          // An unanswered tool_use would make every later call fail
+          this.llmClient.failToolCalls(response.toolCalls, err, session);
+          throw err;
+        }
 
         if (toolResults.length > 0) {
-          const spinner2 = this.cli.startSpinner('Klaus is analyzing results...');
-          response = await this.llmClient.continueWithToolResults(toolResults, this.systemDescription);
-          spinner2.stop(true);
-
-          if (response.response) {
-            this.cli.printKlausResponse(response.response);
-          }
+          response = await this.streamResponse(session, 'Klaus is analyzing results...',
+            (options) => this.llmClient.continueWithToolResults(toolResults, session, this.getPromptContext(session), options));
         } else {
           break;
         }
       }
     } catch (err) {
-      spinner.stop(false);
       this.cli.print(`Error: ${err.message}`, 'error');
+      if (session.failedTurn) {
+        this.cli.print('Use /retry to send it again.', 'info');
+      }
+    }
+  }
+
+  /**
+   * Get Klaus's next response and print it as it streams in. The spinner runs
+   * until the first text arrives; Ctrl+C cancels the generation and returns to
+   * the prompt.
+   * @param {Session} session - Session the response is for
+   * @param {string} message - Spinner message
+   * @param {function(Object): Promise<Object>} generate - Calls the LLM client with {onText, onRetry, signal}
+   * @returns {Promise<Object>} - The LLM client's response
+   */
+  async streamResponse(session, message, generate) {
+    const budgetBefore = this.usageTracker.budgetStatus(session);
+    const controller = new AbortController();
+    const spinner = this.cli.startSpinner(message);
+    let spinning = true;
+    const stopSpinner = (success) => {
+      if (spinning) {
+        spinning = false;
+        spinner.stop(success);
+      }
+    };
+    const box = this.cli.startKlausResponse();
+    const restoreInterrupt = this.cli.onInterrupt(() => controller.abort());
+
+    try {
+      const response = await generate({
+        signal: controller.signal,
+        onText: (delta) => {
+          stopSpinner(true);
+          box.write(delta);
+        },
+        onRetry: ({ attempt, delay, error }) => {
+          const notice = `${error.message} - retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${this.llmClient.maxRetries})`;
+          if (box.started) {
+            box.notice(notice);
+          } else {
+            spinner.pause();
+            this.cli.print(notice, 'warning');
+            spinner.resume();
+          }
+        },
+      });
+      const cancelled = response.stopReason === 'cancelled';
+      stopSpinner(!cancelled);
+      box.end(cancelled);
+      this.warnBudget(session, budgetBefore);
+      return response;
+    } catch (err) {
+      stopSpinner(false);
+      box.end();
+      throw err;
+    } finally {
+      restoreInterrupt();
     }
   }
 
@@ -565,7 +2659,8 @@ class AdminKlaus {
 
     while (true) {
       try {
-        const input = await this.cli.prompt('You');
+        this.printJobNotices();
+        const input = await this.cli.prompt(this.activeSession ? `You@${this.activeSession.promptName}` : 'You');
 
         if (!input) {
           continue;
@@ -578,7 +2673,7 @@ class AdminKlaus {
         }
 
         // Save logs periodically
-        await this.contextManager.saveLogs();
+        await this.saveAllLogs();
       } catch (err) {
         if (err.code === 'ERR_USE_AFTER_CLOSE') {
           break;
@@ -594,11 +2689,19 @@ class AdminKlaus {
   async shutdown() {
     this.cli.print('\nShutting down...', 'info');
 
+    const running = this.jobs.list();
+    if (running.length > 0) {
+      this.cli.print(`Stopping ${running.length} background job(s)`, 'warning');
+      running.forEach(job => this.jobs.kill(job));
+    }
+
     // Save final logs
-    await this.contextManager.saveLogs();
+    await this.saveAllLogs();
 
     // Disconnect SSH
-    this.sshManager.disconnect();
+    for (const session of this.sessions.values()) {
+      session.disconnect();
+    }
 
     // Close CLI
     this.cli.close();
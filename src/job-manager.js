@@ -0,0 +1,137 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Commands as jobs, like a shell's job control: a command runs in the
+ * foreground until it finishes, is stopped, or the user moves it to the
+ * background. Background jobs get a number, run on while the user does
+ * something else and emit 'finished' (job) when they are done.
+ *
+ * A job: {id, session, command, requiresSudo, details (for the command log), startedAt,
+ * stdout, stderr, background, status ('running', 'done', 'killed'), result}.
+ * Whoever waits for a job in the foreground sets job.onOutput to see its
+ * output as it arrives.
+ */
+export class JobManager extends EventEmitter {
+  constructor() {
+    super();
+    // Background jobs that have not been reported yet, by number
+    this.jobs = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Start a command as a foreground job
+   * @param {Object} job - session, command, requiresSudo, details (for the command log)
+   * @param {function(Object): {abort: function, promise: Promise}} start - Starts the command
+   *   (Executor.executeStreaming()) with the given onData/onError handlers
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Stop it after this many ms in the foreground (default 60000);
+   *   it gets SIGINT, then SIGTERM, like with kill()
+   * @returns {Object} - The job; job.promise resolves with the result of the command,
+   *   with timedOut set if it was stopped by the timeout
+   */
+  start(job, start, { timeout = 60000 } = {}) {
+    Object.assign(job, {
+      id: null,
+      startedAt: new Date(),
+      stdout: '',
+      stderr: '',
+      onOutput: null,
+      background: false,
+      status: 'running',
+      result: null,
+      timedOut: false,
+    });
+
+    const { abort, promise } = start({
+      onData: (text) => {
+        job.stdout += text;
+        job.onOutput?.(text);
+      },
+      onError: (text) => {
+        job.stderr += text;
+        job.onOutput?.(text);
+      },
+    });
+    job.abort = abort;
+    job.timer = setTimeout(() => {
+      job.timedOut = true;
+      abort();
+    }, timeout);
+
+    job.promise = promise.then((result) => {
+      clearTimeout(job.timer);
+      if (job.timedOut) {
+        result = {
+          ...result,
+          exitCode: 124, // as timeout(1)
+          aborted: false,
+          timedOut: true,
+          stderr: `${result.stderr}\nCommand timed out after ${timeout / 1000}s and was stopped`.trim(),
+        };
+      }
+      job.result = result;
+      job.status = result.aborted ? 'killed' : 'done';
+      if (job.id !== null) {
+        this.jobs.delete(job.id);
+        this.emit('finished', job);
+      }
+      return result;
+    }, (err) => {
+      clearTimeout(job.timer);
+      job.status = 'done';
+      job.result = { stdout: job.stdout, stderr: err.message, exitCode: 1, aborted: false };
+      if (job.id !== null) {
+        this.jobs.delete(job.id);
+        this.emit('finished', job);
+      }
+      throw err;
+    });
+    // A background job's failure is reported through 'finished'
+    job.promise.catch(() => {});
+    return job;
+  }
+
+  /**
+   * Move a job to the background: no timeout any more, and a number for /fg and /kill
+   */
+  background(job) {
+    clearTimeout(job.timer);
+    if (job.id === null) {
+      job.id = this.nextId++;
+    }
+    job.background = true;
+    this.jobs.set(job.id, job);
+  }
+
+  /**
+   * Bring a background job back to the foreground (it keeps its number)
+   */
+  foreground(job) {
+    job.background = false;
+  }
+
+  /**
+   * Stop a job: SIGINT, then SIGTERM if it is still running
+   */
+  kill(job) {
+    job.abort();
+  }
+
+  /**
+   * A running background job by number
+   * @param {string|number} id
+   */
+  get(id) {
+    return this.jobs.get(parseInt(String(id).replace(/^%/, ''), 10)) || null;
+  }
+
+  /**
+   * Running background jobs, oldest first
+   */
+  list() {
+    return [...this.jobs.values()];
+  }
+}
+
+export default JobManager;
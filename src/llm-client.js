@@ -1,24 +1,119 @@
-import Anthropic from '@anthropic-ai/sdk';
+import { setTimeout as sleep } from 'timers/promises';
+import { AnthropicProvider } from './anthropic-provider.js';
+import { OpenAIProvider } from './openai-provider.js';
 
 /**
- * LLM client for Admin Klaus - handles all AI interactions
+ * LLM client for Admin Klaus - handles all AI interactions.
+ * The API itself is behind an LLMProvider (see llm-provider.js).
  */
 export class LLMClient {
-  constructor(apiKey, contextManager) {
-    this.client = new Anthropic({ apiKey });
-    this.contextManager = contextManager;
-    this.model = 'claude-sonnet-4-5';
-    this.maxTokens = 4096;
+  /**
+   * @param {LLMProvider} provider - The API to talk to
+   * @param {Object} [options]
+   * @param {number} [options.maxTokens] - Output limit per response (default 4096)
+   * @param {UsageTracker} [options.usageTracker] - Counts the tokens of every call and enforces the budget
+   * @param {number} [options.maxRetries] - Retries of a failed call (default 4)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.maxTokens = options.maxTokens || 4096;
+    this.usageTracker = options.usageTracker || null;
+
+    // Backoff: 1s, 2s, 4s, ... (each with jitter), never more than a minute
+    this.maxRetries = options.maxRetries ?? 4;
+    this.retryBaseDelay = 1000;
+    this.maxRetryDelay = 60000;
+  }
+
+  /**
+   * Create a client from the environment:
+   *   KLAUS_LLM_PROVIDER  anthropic (default) or openai (any OpenAI-compatible server)
+   *   KLAUS_LLM_MODEL     model name (required for openai)
+   *   KLAUS_LLM_BASE_URL  API endpoint, e.g. http://localhost:11434/v1 for Ollama
+   *   KLAUS_LLM_API_KEY   API key; falls back to ANTHROPIC_API_KEY / OPENAI_API_KEY
+   *   KLAUS_LLM_MAX_TOKENS output limit per response
+   *   KLAUS_LLM_MAX_RETRIES retries of a failed call
+   * @param {Object} [env] - Defaults to process.env
+   * @param {Object} [options] - Passed to the constructor
+   * @returns {LLMClient}
+   * @throws {Error} - If the configuration is incomplete
+   */
+  static fromEnv(env = process.env, options = {}) {
+    const name = (env.KLAUS_LLM_PROVIDER || 'anthropic').toLowerCase();
+    const model = env.KLAUS_LLM_MODEL;
+    const baseUrl = env.KLAUS_LLM_BASE_URL;
+    const maxTokens = parseInt(env.KLAUS_LLM_MAX_TOKENS, 10) || undefined;
+    const maxRetries = env.KLAUS_LLM_MAX_RETRIES ? parseInt(env.KLAUS_LLM_MAX_RETRIES, 10) : undefined;
+    let provider;
+
+    if (name === 'anthropic') {
+      const apiKey = env.KLAUS_LLM_API_KEY || env.ANTHROPIC_API_KEY;
+      if (!apiKey) {
+        throw new Error('ANTHROPIC_API_KEY is not set (or choose another provider with KLAUS_LLM_PROVIDER)');
+      }
+      provider = new AnthropicProvider({ apiKey, model, baseUrl });
+    } else if (name === 'openai') {
+      if (!model) {
+        throw new Error('KLAUS_LLM_MODEL is required for the openai provider');
+      }
+      provider = new OpenAIProvider({ apiKey: env.KLAUS_LLM_API_KEY || env.OPENAI_API_KEY, model, baseUrl });
+    } else {
+      throw new Error(`Unknown KLAUS_LLM_PROVIDER '${name}' (use anthropic or openai)`);
+    }
+
+    return new LLMClient(provider, { maxTokens, maxRetries, ...options });
+  }
+
+  /**
+   * Count the tokens of a call towards the session
+   */
+  recordUsage(session, usage) {
+    this.usageTracker?.record(session, this.model, usage);
   }
 
   /**
-   * Build the system prompt with system description
+   * Model in use
    */
-  buildSystemPrompt(systemDescription) {
+  get model() {
+    return this.provider.model;
+  }
+
+  /**
+   * Build the system prompt for the active session
+   * @param {Session} session - The session commands will run on
+   * @param {Object} context - Prompt context
+   * @param {Session[]} context.otherSessions - Other open sessions
+   * @param {Object} context.hostGroups - Map of inventory tag -> host names
+   * @param {boolean} context.planMode - Whether commands are only recorded
+   * @param {string} context.facts - Rendered system facts of the host (FactGatherer.render())
+   * @param {string[]} context.notes - The user's persistent notes about the host
+   */
+  buildSystemPrompt(session, { otherSessions = [], hostGroups = {}, planMode = false, facts = '', notes = [] } = {}) {
+    const others = otherSessions.length > 0
+      ? `\nOther open sessions (not reachable from here - the user switches with /use): ${otherSessions.map(s => `${s.name} (${s.target})`).join(', ')}`
+      : '';
+    const groups = Object.keys(hostGroups).length > 0
+      ? `\nHost groups for execute_on_group: ${Object.entries(hostGroups).map(([tag, names]) => `${tag} (${names.length} hosts)`).join(', ')}`
+      : '';
+
     return `You are Admin Klaus, an AI assistant for Unix/Linux system administrators. You help users manage their servers by executing bash commands via SSH.
 
+## Target Host
+All commands you execute run on **${session.name}** (${session.target}), except execute_on_group which runs on every host of a group.${others}${groups}${session.execTarget ? `
+
+## Container Target
+The user switched the target to **${session.execTarget.label}** on ${session.name}. Every command from execute_command and execute_command_sequence runs inside it - write them as you would in a shell in the container, never wrap them in docker exec or kubectl exec. requires_sudo runs the docker/kubectl call on the host with sudo. read_file, list_dir and write_file only work on the host's files, so use cat, ls and tee in the container. list_containers still lists the host's containers and pods.` : ''}
+
 ## System Being Managed
-${systemDescription || 'No system description provided. Ask the user to describe the system.'}
+${session.systemDescription || (facts ? 'No description from the user - rely on the facts below.' : 'No system description provided. Ask the user to describe the system.')}${facts ? `
+
+## System Facts
+Gathered from the host when connecting (refreshed with /facts refresh). Use the package manager and init system listed here instead of guessing.
+${facts}` : ''}${notes.length > 0 ? `
+
+## Host Notes
+What the user wants you to know about this host, kept across sessions. Follow these notes:
+${notes.map(note => `- ${note}`).join('\n')}` : ''}
 
 ## Your Capabilities
 You can execute bash commands on the remote server. When the user asks you to do something:
@@ -36,7 +131,12 @@ You can execute bash commands on the remote server. When the user asks you to do
 - If a command fails, STOP and inform the user - ask whether to abort or try to fix
 - For destructive operations (rm, dd, format, etc.), give extra warnings
 - When sudo is needed, indicate this clearly - the system will handle authentication
-- For commands that stream continuous output (pm2 logs, tail -f, journalctl -f, watch, htop, etc.), set is_streaming: true so the user can stop them with 'q'
+- For commands that stream continuous output (pm2 logs, tail -f, journalctl -f, watch, etc.), set is_streaming: true so the user can stop them with 'q'
+- For full-screen or interactive programs (vim, nano, less, htop, top, crontab -e, etc.), set is_interactive: true - they run in a terminal the user controls, and you only learn the exit code
+- To look at or change files, use read_file, list_dir and write_file instead of cat, sed -i or heredocs. write_file replaces the whole file: read it first and send the complete new contents - the user reviews the diff
+- When you learn something about this host that will matter in later sessions (where an app lives, a service that must not be restarted, a quirk of the setup), propose it with the remember tool - the user confirms it. Keep notes short and factual; don't store secrets or what the system facts already say
+- Commands are stopped after 60 seconds unless you say otherwise. For long-running ones (package upgrades, rsync, backups, database dumps, builds) set expected_duration to your estimate and timeout_seconds to how long it may take at most. If a command timed out, you get its output until then - don't just repeat it with the same timeout
+- For services in Docker or Kubernetes, use list_containers to find them and ask the user to switch with /target container <name> or /target pod <namespace>/<pod> instead of wrapping commands in docker exec or kubectl exec
 
 ## Response Format
 When you need to execute commands, use the execute_command tool. 
@@ -49,7 +149,10 @@ Command 2: <command>
 Then ask: "Shall I proceed with these commands?"
 
 ## Current Session
-You have access to the conversation history and command output logs. Use them to maintain context about what has been done.`;
+You have access to the conversation history and command output logs. Use them to maintain context about what has been done.${planMode ? `
+
+## Plan Mode
+Plan mode is ON. Your tool calls are recorded into a plan and NOT executed - every result is a dry-run notice without output. Propose the complete sequence of commands the task needs, in order, without waiting for real output, and finish with a short summary of the plan. The user reviews it and applies it later with /plan apply.` : ''}`;
   }
 
   /**
@@ -74,9 +177,22 @@ You have access to the conversation history and command output logs. Use them to
             },
             is_streaming: {
               type: 'boolean',
-              description: 'Set to true for commands that produce continuous output and never terminate on their own (pm2 logs, tail -f, journalctl -f, watch, htop, top, less, etc.). These commands will stream output until the user presses q to stop.',
+              description: 'Set to true for commands that produce continuous output and never terminate on their own (pm2 logs, tail -f, journalctl -f, watch, etc.). These commands will stream output until the user presses q to stop.',
+              default: false,
+            },
+            is_interactive: {
+              type: 'boolean',
+              description: 'Set to true for full-screen or interactive programs (vim, nano, less, htop, top, crontab -e, etc.). They run in a terminal that the user controls until the program exits; the output is not returned, only the exit code.',
               default: false,
             },
+            expected_duration: {
+              type: 'integer',
+              description: 'How many seconds you expect the command to run, for long-running commands (package upgrades, rsync, backups, dumps). Shown to the user; without timeout_seconds the command may run twice as long.',
+            },
+            timeout_seconds: {
+              type: 'integer',
+              description: 'Stop the command after this many seconds (default 60). It gets SIGINT, then SIGTERM, and you get the output until then.',
+            },
             explanation: {
               type: 'string',
               description: 'Brief explanation of what this command does',
@@ -85,6 +201,33 @@ You have access to the conversation history and command output logs. Use them to
           required: ['command', 'explanation'],
         },
       },
+      {
+        name: 'execute_on_group',
+        description: 'Execute the same bash command on every host of a host group (inventory tag) in parallel. Results are grouped by identical output. Use for checks and changes across many servers after user confirmation.',
+        input_schema: {
+          type: 'object',
+          properties: {
+            group: {
+              type: 'string',
+              description: 'The host group (tag) to run on, e.g. "web"',
+            },
+            command: {
+              type: 'string',
+              description: 'The bash command to execute on each host',
+            },
+            requires_sudo: {
+              type: 'boolean',
+              description: 'Whether this command needs sudo privileges',
+              default: false,
+            },
+            explanation: {
+              type: 'string',
+              description: 'Brief explanation of what this command does',
+            },
+          },
+          required: ['group', 'command', 'explanation'],
+        },
+      },
       {
         name: 'execute_command_sequence',
         description: 'Execute a sequence of bash commands. Each command runs only if the previous succeeded. Use for multi-step operations after user confirmation.',
@@ -100,6 +243,9 @@ You have access to the conversation history and command output logs. Use them to
                   explanation: { type: 'string' },
                   requires_sudo: { type: 'boolean', default: false },
                   is_streaming: { type: 'boolean', default: false, description: 'Set to true for commands that produce continuous output (pm2 logs, tail -f, etc.)' },
+                  is_interactive: { type: 'boolean', default: false, description: 'Set to true for full-screen programs the user controls (vim, less, htop, etc.)' },
+                  expected_duration: { type: 'integer', description: 'Seconds you expect a long-running command to take' },
+                  timeout_seconds: { type: 'integer', description: 'Stop the command after this many seconds (default 60)' },
                 },
                 required: ['command', 'explanation'],
               },
@@ -109,86 +255,442 @@ You have access to the conversation history and command output logs. Use them to
           required: ['commands'],
         },
       },
+      {
+        name: 'read_file',
+        description: 'Read a file on the target host over SFTP. Without a range the first 64 KB are returned. Use a line range (start_line/end_line) for text files, or a byte range (offset/length) for large or binary files.',
+        input_schema: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Absolute path of the file',
+            },
+            start_line: {
+              type: 'integer',
+              description: 'First line to return (1-based)',
+            },
+            end_line: {
+              type: 'integer',
+              description: 'Last line to return (inclusive)',
+            },
+            offset: {
+              type: 'integer',
+              description: 'First byte to return (0-based)',
+            },
+            length: {
+              type: 'integer',
+              description: 'Number of bytes to return',
+            },
+            explanation: {
+              type: 'string',
+              description: 'Brief explanation of why the file is read',
+            },
+          },
+          required: ['path', 'explanation'],
+        },
+      },
+      {
+        name: 'list_dir',
+        description: 'List a directory on the target host over SFTP, with type, size, permissions, owner, group and modification time of each entry.',
+        input_schema: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Absolute path of the directory',
+            },
+            explanation: {
+              type: 'string',
+              description: 'Brief explanation of why the directory is listed',
+            },
+          },
+          required: ['path', 'explanation'],
+        },
+      },
+      {
+        name: 'list_containers',
+        description: 'List the running Docker containers (name, image, status) and the Kubernetes pods (namespace, name, status) on the host. The user can make one of them the target of all commands with /target.',
+        input_schema: {
+          type: 'object',
+          properties: {
+            requires_sudo: {
+              type: 'boolean',
+              description: 'Whether docker/kubectl need sudo on this host (e.g. the user is not in the docker group, or k3s)',
+            },
+            explanation: {
+              type: 'string',
+              description: 'Brief explanation of why the containers are listed',
+            },
+          },
+          required: ['explanation'],
+        },
+      },
+      {
+        name: 'remember',
+        description: 'Propose a note about the target host to keep for later sessions, e.g. "The app lives in /srv/app" or "Never restart pgbouncer during business hours". The user has to confirm it; saved notes are shown to you in every session on this host.',
+        input_schema: {
+          type: 'object',
+          properties: {
+            note: {
+              type: 'string',
+              description: 'The note - one short, self-contained sentence',
+            },
+            explanation: {
+              type: 'string',
+              description: 'Why this is worth remembering',
+            },
+          },
+          required: ['note', 'explanation'],
+        },
+      },
+      {
+        name: 'write_file',
+        description: 'Create or replace a file on the target host. The user sees a diff of the current and the new contents and has to approve it. The file is replaced atomically and keeps its permissions and owner. Files the SSH user does not own are written with sudo.',
+        input_schema: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Absolute path of the file',
+            },
+            content: {
+              type: 'string',
+              description: 'The complete new contents of the file',
+            },
+            requires_sudo: {
+              type: 'boolean',
+              description: 'Write as root even if the SSH user could write the file',
+              default: false,
+            },
+            explanation: {
+              type: 'string',
+              description: 'Brief explanation of the change',
+            },
+          },
+          required: ['path', 'content', 'explanation'],
+        },
+      },
     ];
   }
 
   /**
-   * Send a message and get a response
-   * @param {string} userMessage - The user's input
-   * @param {string} systemDescription - Description of the system being managed
-   * @returns {Promise<{response: string, toolCalls: Array|null}>}
+   * Why a tool call can't be run as it is, checked against the tool
+   * definitions: broken JSON, an unknown tool, or an argument that is
+   * missing or has the wrong type. Numbers and flags are converted where
+   * they are used, so only strings, arrays and objects are type-checked.
+   * @param {Object} toolCall - A tool_use block
+   * @returns {string|null} - The problem, null if the input is usable
    */
-  async chat(userMessage, systemDescription) {
-    // Add user message to context
-    this.contextManager.addMessage('user', userMessage);
+  toolInputError({ name, input }) {
+    const tool = this.getTools().find(t => t.name === name);
+    if (!tool) {
+      return `there is no tool named ${name}`;
+    }
+    if (input?._invalid_arguments !== undefined) {
+      return `the arguments are not valid JSON: ${String(input._invalid_arguments).slice(0, 200)}`;
+    }
+    return this.schemaError(input, tool.input_schema, '');
+  }
+
+  /**
+   * First mismatch between a value and a JSON schema (see toolInputError())
+   * @param {string} label - Where the value is, e.g. "commands[2].command"
+   */
+  schemaError(value, schema, label) {
+    const checks = {
+      string: v => typeof v === 'string',
+      array: v => Array.isArray(v),
+      object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    };
+    if (checks[schema.type] && !checks[schema.type](value)) {
+      return `${label || 'the arguments'} must be ${schema.type === 'string' ? 'a string' : `an ${schema.type}`}`;
+    }
 
-    // Build messages array from context
-    const messages = this.contextManager.getMessages();
+    if (schema.type === 'object') {
+      const at = key => (label ? `${label}.${key}` : key);
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) return `${at(key)} is missing`;
+      }
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        if (value[key] === undefined || value[key] === null) continue;
+        const error = this.schemaError(value[key], property, at(key));
+        if (error) return error;
+      }
+    }
+    if (schema.type === 'array' && schema.items) {
+      for (const [i, item] of value.entries()) {
+        const error = this.schemaError(item, schema.items, `${label}[${i}]`);
+        if (error) return error;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Let the context manager summarize old conversation if it is getting too long
+   */
+  async compactContext(session) {
+    await session.contextManager.compactIfNeeded(
+      (conversation, previousSummary) => this.summarize(conversation, previousSummary, session)
+    );
+  }
+
+  /**
+   * Condense older conversation into a summary that replaces it in the context
+   * @param {string} conversation - The conversation being compacted, as plain text
+   * @param {string} previousSummary - Summary from an earlier compaction, if any
+   * @param {Session} [session] - Session the tokens count towards
+   * @returns {Promise<string>}
+   */
+  async summarize(conversation, previousSummary, session) {
+    const previous = previousSummary
+      ? `Summary of the conversation before this part:\n${previousSummary}\n\n`
+      : '';
 
     try {
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: this.maxTokens,
-        system: this.buildSystemPrompt(systemDescription),
-        tools: this.getTools(),
-        messages: messages,
-      });
+      const response = await this.complete({
+        maxTokens: this.maxTokens,
+        system: `You condense the history of a sysadmin session between a user and Admin Klaus, an AI that runs shell commands on a server. The summary replaces the original conversation, so keep what is needed to continue the work:
+- the user's goals and any decisions, preferences or constraints they stated, with the reasons
+- what was changed on the system (commands, files, services, packages) and whether it worked
+- problems found, open issues and planned next steps
+Leave out greetings, repeated output and details that no longer matter. Write compact bullet points.`,
+        messages: [{
+          role: 'user',
+          content: `${previous}Conversation to condense:\n${conversation}`,
+        }],
+      }, { session });
 
-      // Process the response
-      const textBlocks = response.content.filter(block => block.type === 'text');
-      const toolBlocks = response.content.filter(block => block.type === 'tool_use');
+      if (session) this.recordUsage(session, response.usage);
+      return response.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+    } catch (error) {
+      throw this.apiError(error);
+    }
+  }
 
-      const responseText = textBlocks.map(b => b.text).join('\n');
+  /**
+   * Send a message and get a response. If it fails, the message is taken back
+   * and kept for /retry.
+   * @param {string} userMessage - The user's input
+   * @param {Session} session - The session commands will run on
+   * @param {Object} context - Prompt context (see buildSystemPrompt)
+   * @param {Object} [options] - See respond()
+   * @returns {Promise<{response: string, toolCalls: Array|null, stopReason: string}>}
+   */
+  async chat(userMessage, session, context, options = {}) {
+    session.failedTurn = { userMessage, message: null };
+    this.usageTracker?.assertWithinBudget(session);
 
-      // Add assistant response to context
-      this.contextManager.addMessage('assistant', response.content);
+    // Add user message to context
+    const message = session.contextManager.addMessage('user', userMessage);
+    session.failedTurn.message = message;
 
-      return {
-        response: responseText,
-        toolCalls: toolBlocks.length > 0 ? toolBlocks : null,
-        stopReason: response.stop_reason,
-      };
+    try {
+      await this.compactContext(session);
+      return this.finishTurn(session, await this.respond(session, context, options));
     } catch (error) {
-      throw new Error(`LLM API error: ${error.message}`);
+      // An unanswered message would make the next call fail as well
+      session.contextManager.rollbackTo(message);
+      throw error;
     }
   }
 
   /**
    * Continue conversation after tool execution
    * @param {Array} toolResults - Results from tool execution
-   * @param {string} systemDescription - System description
+   * @param {Session} session - The session commands will run on
+   * @param {Object} context - Prompt context (see buildSystemPrompt)
+   * @param {Object} [options] - See respond()
    */
-  async continueWithToolResults(toolResults, systemDescription) {
+  async continueWithToolResults(toolResults, session, context, options = {}) {
     // Add tool results to context
-    this.contextManager.addMessage('user', toolResults);
+    const message = session.contextManager.addMessage('user', toolResults);
+    session.failedTurn = { message };
 
-    const messages = this.contextManager.getMessages();
+    return this.answerToolResults(session, context, options);
+  }
 
+  /**
+   * Close a turn whose tool calls could not be handled: every call gets an
+   * error result, so the conversation stays valid, and /retry sends them
+   * @param {Array} toolCalls - The tool_use blocks of the last response
+   * @param {Error} error - Why they could not be handled
+   * @param {Session} session - The session they were for
+   */
+  failToolCalls(toolCalls, error, session) {
+    const message = session.contextManager.addMessage('user', toolCalls.map(call => ({
+      type: 'tool_result',
+      tool_use_id: call.id,
+      content: `Not handled: ${error.message}. Some commands may have run before this - check the current state before continuing.`,
+    })));
+    session.failedTurn = { message };
+    session.contextManager.addMessage('assistant', `[No response: ${error.message}]`);
+  }
+
+  /**
+   * Get the response to the tool results at the end of the conversation.
+   * The commands have run, so if it fails the results stay and the turn is
+   * closed with a note instead - /retry removes the note again.
+   */
+  async answerToolResults(session, context, options) {
     try {
-      const response = await this.client.messages.create({
-        model: this.model,
-        max_tokens: this.maxTokens,
-        system: this.buildSystemPrompt(systemDescription),
+      this.usageTracker?.assertWithinBudget(session);
+      await this.compactContext(session);
+      return this.finishTurn(session, await this.respond(session, context, options));
+    } catch (error) {
+      session.contextManager.addMessage('assistant', `[No response: ${error.message}]`);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the last turn again after it failed or was cancelled
+   * @param {Session} session - The session commands will run on
+   * @param {Object} context - Prompt context (see buildSystemPrompt)
+   * @param {Object} [options] - See respond()
+   * @returns {Promise<{response: string, toolCalls: Array|null, stopReason: string}>}
+   * @throws {Error} - If there is nothing to retry
+   */
+  async retry(session, context, options = {}) {
+    const turn = session.failedTurn;
+    if (!turn) {
+      throw new Error('Nothing to retry - the last turn did not fail');
+    }
+
+    if (turn.userMessage !== undefined) {
+      // Without a partial answer, if it was cancelled
+      if (turn.message) session.contextManager.rollbackTo(turn.message);
+      return this.chat(turn.userMessage, session, context, options);
+    }
+    session.contextManager.rollbackTo(turn.message, { inclusive: false });
+    return this.answerToolResults(session, context, options);
+  }
+
+  /**
+   * A turn that was answered can't be retried any more; a cancelled one can
+   */
+  finishTurn(session, response) {
+    if (response.stopReason !== 'cancelled') {
+      session.failedTurn = null;
+    }
+    return response;
+  }
+
+  /**
+   * provider.complete() with retries: rate limits (429), overload (529), server
+   * errors (5xx) and lost connections are retried with exponential backoff and
+   * jitter, or after the time the API asks for (retry-after)
+   * @param {Object} request - See LLMProvider.complete()
+   * @param {Object} [options]
+   * @param {function(Object): void} [options.onRetry] - Told about every retry: {attempt, delay, error}
+   * @param {Session} [options.session] - Session the tokens of failed and cancelled attempts count
+   *   towards; the caller records the usage of the response
+   */
+  async complete(request, { onRetry, session } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.provider.complete(request);
+      } catch (error) {
+        // A stream that broke off or was cancelled was billed up to there
+        if (session) this.recordUsage(session, error.usage);
+        const delay = this.retryDelay(error, attempt);
+        if (delay === null || request.signal?.aborted) {
+          error.retries = attempt - 1;
+          throw error;
+        }
+        if (onRetry) onRetry({ attempt, delay, error });
+        await sleep(delay, undefined, { signal: request.signal });
+      }
+    }
+  }
+
+  /**
+   * How long to wait before retrying a failed call
+   * @returns {number|null} - Milliseconds, null if it is not retried
+   */
+  retryDelay(error, attempt) {
+    const retryable = error.status === 429 || error.status >= 500 || error.connectionError;
+    if (!retryable || attempt > this.maxRetries) return null;
+
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      // Asked to wait longer than we are willing to - give up now
+      return error.retryAfter <= this.maxRetryDelay ? error.retryAfter : null;
+    }
+    const backoff = Math.min(this.maxRetryDelay, this.retryBaseDelay * 2 ** (attempt - 1));
+    // Jitter, so clients that failed together don't retry together
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Get Klaus's next response to the conversation and add it to the context.
+   * When the generation is cancelled, the text received so far is kept (tool
+   * calls are dropped, they may be incomplete) so the conversation stays valid.
+   * @param {Session} session - The session commands will run on
+   * @param {Object} context - Prompt context (see buildSystemPrompt)
+   * @param {Object} [options]
+   * @param {function(string): void} [options.onText] - Receives the response text as it streams in
+   * @param {function(Object): void} [options.onRetry] - Told when a failed call is retried
+   *   (see complete()); text streamed before belongs to the failed attempt
+   * @param {AbortSignal} [options.signal] - Cancels the generation
+   * @returns {Promise<{response: string, toolCalls: Array|null, stopReason: string}>} -
+   *   stopReason is 'cancelled' after a cancel
+   */
+  async respond(session, context, { onText, onRetry, signal } = {}) {
+    const messages = session.contextManager.getMessages();
+    let streamed = '';
+
+    try {
+      const response = await this.complete({
+        maxTokens: this.maxTokens,
+        system: this.buildSystemPrompt(session, context),
         tools: this.getTools(),
         messages: messages,
+        onText: onText && ((delta) => {
+          streamed += delta;
+          onText(delta);
+        }),
+        signal,
+      }, {
+        onRetry: (retry) => {
+          // The retry starts the response over
+          streamed = '';
+          if (onRetry) onRetry(retry);
+        },
+        session,
       });
 
+      this.recordUsage(session, response.usage);
+
+      // Process the response
       const textBlocks = response.content.filter(block => block.type === 'text');
       const toolBlocks = response.content.filter(block => block.type === 'tool_use');
 
       const responseText = textBlocks.map(b => b.text).join('\n');
 
-      this.contextManager.addMessage('assistant', response.content);
+      // Add assistant response to context
+      session.contextManager.addMessage('assistant', response.content);
 
       return {
         response: responseText,
         toolCalls: toolBlocks.length > 0 ? toolBlocks : null,
-        stopReason: response.stop_reason,
+        stopReason: response.stopReason,
       };
     } catch (error) {
-      throw new Error(`LLM API error: ${error.message}`);
+      if (signal?.aborted) {
+        session.contextManager.addMessage('assistant', `${streamed.trim()}\n\n[Response cancelled by the user]`.trim());
+        return { response: streamed, toolCalls: null, stopReason: 'cancelled' };
+      }
+      throw this.apiError(error);
     }
   }
+
+  /**
+   * The error a failed call is reported with
+   */
+  apiError(error) {
+    const retries = error.retries ? ` (gave up after ${error.retries} ${error.retries === 1 ? 'retry' : 'retries'})` : '';
+    return new Error(`LLM API error: ${error.message}${retries}`);
+  }
 }
 
 export default LLMClient;
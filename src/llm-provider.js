@@ -0,0 +1,60 @@
+/**
+ * Talks to one LLM API. LLMClient keeps the conversation in Anthropic's
+ * message format (text, tool_use and tool_result content blocks) and hands it
+ * to a provider, which maps it to its API and maps the reply back.
+ * AnthropicProvider and OpenAIProvider (OpenAI-compatible servers such as
+ * Ollama, vLLM and llama.cpp) implement this interface.
+ */
+export class LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - Model name
+   */
+  constructor({ model }) {
+    this.name = 'unknown';
+    this.model = model;
+  }
+
+  /**
+   * Run one completion
+   * @param {Object} request
+   * @param {string} request.system - System prompt
+   * @param {Array} request.messages - Conversation in Anthropic message format
+   * @param {Array} [request.tools] - Tool definitions in Anthropic format ({name, description, input_schema})
+   * @param {number} request.maxTokens - Output limit
+   * @param {function(string): void} [request.onText] - Streams the response: called with
+   *   every piece of text as it arrives
+   * @param {AbortSignal} [request.signal] - Cancels the request
+   * @returns {Promise<{content: Array, stopReason: string, usage: Object|null}>} - content
+   *   holds text and tool_use blocks; stopReason is 'end_turn', 'tool_use' or 'max_tokens';
+   *   usage is {inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens} as reported
+   *   by the API (inputTokens without the cached ones), null if it reported none
+   * @throws {Error} - With status (HTTP status), retryAfter (ms the API asked to wait) or
+   *   connectionError (the API could not be reached) where known, so LLMClient can retry,
+   *   and usage if a stream failed or was cancelled after the API reported some
+   */
+  async complete(request) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  /**
+   * Parse a retry-after header (seconds or an HTTP date)
+   * @returns {number|null} - Milliseconds to wait, null if there is none
+   */
+  parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Provider and model, for the startup message and /status
+   */
+  describe() {
+    return `${this.name} (${this.model})`;
+  }
+}
+
+export default LLMProvider;
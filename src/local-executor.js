@@ -0,0 +1,381 @@
+import { spawn } from 'child_process';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Executor } from './executor.js';
+
+/**
+ * Runs commands on the machine Klaus itself runs on, through child_process
+ */
+export class LocalExecutor extends Executor {
+  constructor() {
+    super();
+    this.isLocal = true;
+    // Klaus writes POSIX sh - the user's login shell may be fish or nushell
+    this.shell = '/bin/sh';
+  }
+
+  /**
+   * Nothing to connect to - just mark the executor ready
+   */
+  async connect() {
+    this.isConnected = true;
+    this.remoteUid = null;
+    this.emit('connected', 'localhost');
+  }
+
+  /**
+   * Spawn a command in its own process group, so a timeout or abort reaches
+   * everything it started
+   */
+  spawnCommand(fullCommand) {
+    return spawn(this.shell, ['-c', fullCommand], {
+      detached: true,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+  }
+
+  /**
+   * Send a signal to a command and its children
+   */
+  signalGroup(child, signal) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      // Already gone
+    }
+  }
+
+  /**
+   * Execute a command locally
+   * @param {string} command - The bash command to execute
+   * @param {Object} options - Execution options
+   * @param {boolean} options.sudo - Whether to run with sudo
+   * @param {string} options.sudoPassword - Password for sudo (none: sudo -n, for NOPASSWD hosts)
+   * @param {number} options.timeout - Command timeout in ms (default 60000)
+   * @returns {Promise<{stdout: string, stderr: string, exitCode: number, sudoError: string|null}>} -
+   *   sudoError is 'wrong_password' or 'password_required' when sudo did not accept the password
+   */
+  async execute(command, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Not connected to any server');
+    }
+
+    const { sudo = false, sudoPassword = '', timeout = 60000 } = options;
+    const { fullCommand, marker } = this.wrapSudo(command, sudo, sudoPassword);
+
+    return new Promise((resolve, reject) => {
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+
+      const child = this.spawnCommand(fullCommand);
+      const sudoWatcher = this.watchSudo(child.stdin, marker, sudoPassword);
+      child.stdin.on('error', () => {});
+
+      // Set timeout
+      const timeoutId = setTimeout(() => {
+        timedOut = true;
+        this.signalGroup(child, 'SIGKILL');
+        reject(this.timeoutError(timeout, stdout, stderr));
+      }, timeout);
+
+      child.on('error', (err) => {
+        clearTimeout(timeoutId);
+        reject(err);
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(timeoutId);
+        if (timedOut) return;
+        stderr += sudoWatcher.flush();
+        resolve({
+          stdout: stdout.trim(),
+          stderr: stderr.trim(),
+          exitCode: code ?? 128 + (os.constants.signals[signal] || 0),
+          sudoError: sudoWatcher.error,
+        });
+      });
+
+      child.stdout.on('data', (data) => {
+        sudoWatcher.output();
+        stdout += data.toString();
+      });
+
+      child.stderr.on('data', (data) => {
+        stderr += sudoWatcher.filter(data.toString());
+      });
+    });
+  }
+
+  /**
+   * Execute a streaming command locally (for commands like pm2 logs, tail -f, etc.)
+   * @param {string} command - The bash command to execute
+   * @param {Object} options - Execution options
+   * @param {boolean} options.sudo - Whether to run with sudo
+   * @param {string} options.sudoPassword - Password for sudo (none: sudo -n, for NOPASSWD hosts)
+   * @param {function} options.onData - Callback for stdout data
+   * @param {function} options.onError - Callback for stderr data
+   * @returns {{abort: function, promise: Promise}} - Returns an abort function and a promise
+   */
+  executeStreaming(command, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Not connected to any server');
+    }
+
+    const { sudo = false, sudoPassword = '', onData, onError } = options;
+    const { fullCommand, marker } = this.wrapSudo(command, sudo, sudoPassword);
+
+    let aborted = false;
+    let stdout = '';
+    let stderr = '';
+
+    const child = this.spawnCommand(fullCommand);
+    const sudoWatcher = this.watchSudo(child.stdin, marker, sudoPassword);
+    child.stdin.on('error', () => {});
+
+    const abort = () => {
+      aborted = true;
+      // Send SIGINT (Ctrl+C) to the command
+      this.signalGroup(child, 'SIGINT');
+      // Give it a moment, then terminate
+      setTimeout(() => {
+        if (child.exitCode === null && child.signalCode === null) {
+          this.signalGroup(child, 'SIGTERM');
+        }
+      }, 500);
+    };
+
+    const promise = new Promise((resolve, reject) => {
+      child.on('error', reject);
+
+      child.on('close', (code) => {
+        const rest = sudoWatcher.flush();
+        stderr += rest;
+        if (onError && rest) {
+          onError(rest);
+        }
+        resolve({
+          stdout: stdout.trim(),
+          stderr: stderr.trim(),
+          exitCode: aborted ? 130 : code, // 130 = terminated by Ctrl+C
+          aborted,
+          sudoError: sudoWatcher.error,
+        });
+      });
+
+      child.stdout.on('data', (data) => {
+        sudoWatcher.output();
+        const text = data.toString();
+        stdout += text;
+        if (onData) {
+          onData(text);
+        }
+      });
+
+      child.stderr.on('data', (data) => {
+        const text = sudoWatcher.filter(data.toString());
+        stderr += text;
+        if (onError && text) {
+          onError(text);
+        }
+      });
+    });
+
+    return { abort, promise };
+  }
+
+  /**
+   * Run an interactive program (vim, nano, htop, less, ...) on this terminal.
+   * The program owns the terminal directly, so there is no keyboard passthrough:
+   * write and resize are null.
+   * @param {string} command - The bash command to execute
+   * @param {Object} options - Execution options
+   * @param {boolean} options.sudo - Whether to run with sudo (the user answers sudo's prompt)
+   * @returns {Promise<{write: null, resize: null, promise: Promise}>} - promise resolves
+   *   with {exitCode} when the program exits
+   */
+  async executeInteractive(command, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Not connected to any server');
+    }
+
+    const { sudo = false } = options;
+    const child = spawn(this.shell, ['-c', sudo ? `sudo ${command}` : command], { stdio: 'inherit' });
+
+    const promise = new Promise((resolve) => {
+      child.on('error', () => resolve({ exitCode: 127 }));
+      child.on('close', (code, signal) => {
+        resolve({ exitCode: code ?? 128 + (os.constants.signals[signal] || 0) });
+      });
+    });
+
+    return { write: null, resize: null, promise };
+  }
+
+  /**
+   * The numeric uid Klaus runs as, or null where there are no uids (Windows)
+   */
+  async getRemoteUid() {
+    if (this.remoteUid === null && typeof process.getuid === 'function') {
+      this.remoteUid = process.getuid();
+    }
+    return this.remoteUid;
+  }
+
+  /**
+   * Stat a local file
+   * @param {string} filePath - Absolute path
+   * @returns {Promise<{mode: number, uid: number, gid: number, size: number, mtime: number, isDirectory: boolean}|null>} -
+   *   null if the file does not exist
+   */
+  async statFile(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      return {
+        mode: stats.mode & 0o7777,
+        uid: stats.uid,
+        gid: stats.gid,
+        size: stats.size,
+        mtime: Math.floor(stats.mtimeMs / 1000),
+        isDirectory: stats.isDirectory(),
+      };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Read a local file
+   * @param {string} filePath - Absolute path
+   * @param {Object} [range]
+   * @param {number} [range.start] - First byte (default 0)
+   * @param {number} [range.end] - Last byte, inclusive (default end of file)
+   * @returns {Promise<Buffer>}
+   */
+  async readFile(filePath, { start, end } = {}) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const stream = createReadStream(filePath, { start, end });
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+  }
+
+  /**
+   * List a local directory
+   * @param {string} dirPath - Absolute path
+   * @returns {Promise<Array<{name: string, type: string, size: number, mode: number, uid: number, gid: number, owner: string, group: string, mtime: number}>>}
+   */
+  async readDir(dirPath) {
+    const names = await fs.readdir(dirPath);
+    const users = await this.idNames('/etc/passwd');
+    const groups = await this.idNames('/etc/group');
+
+    const entries = [];
+    for (const name of names) {
+      let stats;
+      try {
+        stats = await fs.lstat(path.join(dirPath, name));
+      } catch {
+        continue; // Removed while listing
+      }
+      entries.push({
+        name,
+        type: stats.isDirectory() ? 'directory'
+          : stats.isSymbolicLink() ? 'symlink'
+          : stats.isFile() ? 'file'
+          : 'other',
+        size: stats.size,
+        mode: stats.mode & 0o7777,
+        uid: stats.uid,
+        gid: stats.gid,
+        owner: users.get(stats.uid) || String(stats.uid),
+        group: groups.get(stats.gid) || String(stats.gid),
+        mtime: Math.floor(stats.mtimeMs / 1000),
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Map of numeric id to name from /etc/passwd or /etc/group
+   */
+  async idNames(file) {
+    const names = new Map();
+    try {
+      for (const line of (await fs.readFile(file, 'utf-8')).split('\n')) {
+        const [name, , id] = line.split(':');
+        if (name && id !== undefined) {
+          names.set(parseInt(id, 10), name);
+        }
+      }
+    } catch {
+      // No names - ids are shown instead
+    }
+    return names;
+  }
+
+  /**
+   * Replace a local file atomically: write a temporary file next to it, give
+   * it the old file's mode and owner, and rename it over the original
+   * @param {string} filePath - Absolute path
+   * @param {string} content - New contents
+   * @param {Object} options
+   * @param {Object|null} options.stat - statFile() of the current file, null for a new file
+   * @param {boolean} options.sudo - Write as root (for files the user can't write)
+   * @param {string} options.sudoPassword - Password for sudo
+   * @returns {Promise<{exitCode: number, stderr: string, sudoError: string|null}>}
+   */
+  async writeFileAtomic(filePath, content, { stat = null, sudo = false, sudoPassword = '' } = {}) {
+    const suffix = crypto.randomBytes(6).toString('hex');
+    const mode = stat ? stat.mode : 0o644;
+
+    if (!sudo) {
+      const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.klaus-${suffix}`);
+      try {
+        await fs.writeFile(tmpPath, content, { mode });
+        await fs.chmod(tmpPath, mode);
+        if (stat) {
+          // Keeps the group; fails harmlessly if we are not in it
+          await fs.chown(tmpPath, stat.uid, stat.gid).catch(() => {});
+        }
+        await fs.rename(tmpPath, filePath);
+        return { exitCode: 0, stderr: '', sudoError: null };
+      } catch (err) {
+        await fs.unlink(tmpPath).catch(() => {});
+        return { exitCode: 1, stderr: err.message, sudoError: null };
+      }
+    }
+
+    // As root: write a private temp file, then let sudo move it into place
+    const uploadPath = path.join(os.tmpdir(), `.klaus-upload-${suffix}`);
+    const script = this.replaceFileScript(uploadPath, filePath, stat, suffix);
+
+    try {
+      await fs.writeFile(uploadPath, content, { mode: 0o600 });
+      const result = await this.execute(`sh -c ${this.shellQuote(script)}`, { sudo: true, sudoPassword });
+      return { exitCode: result.exitCode, stderr: result.stderr, sudoError: result.sudoError };
+    } catch (err) {
+      return { exitCode: 1, stderr: err.message, sudoError: null };
+    } finally {
+      await fs.unlink(uploadPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Stop using the local machine
+   */
+  disconnect() {
+    if (this.isConnected) {
+      this.isConnected = false;
+      this.emit('disconnected');
+    }
+  }
+}
+
+export default LocalExecutor;
@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Notes about a host that outlive sessions ("the app lives in /srv/app"),
+ * one Markdown file per host below ~/.klaus/notes/. Hosts connected through
+ * a profile are keyed by the profile name, others by their SSH host key
+ * fingerprint, so a host keeps its notes whatever name it was reached by.
+ *
+ * File format - every "- " item is one note, indented lines continue it:
+ *
+ *   # Notes for web-01
+ *   - The app lives in /srv/app
+ *   - Never restart pgbouncer during business hours
+ */
+export class NotesStore {
+  constructor(options = {}) {
+    const dir = options.dir
+      || process.env.KLAUS_NOTES_DIR
+      || path.join(os.homedir(), '.klaus', 'notes');
+    this.dir = dir.replace(/^~/, os.homedir());
+  }
+
+  /**
+   * The key a host's notes are stored under
+   * @param {Object} host
+   * @param {string} [host.profile] - Host profile name
+   * @param {string} [host.fingerprint] - SSH host key fingerprint (SHA256:...)
+   * @param {string} [host.host] - Hostname, when neither is known
+   * @returns {string}
+   */
+  keyFor({ profile, fingerprint, host }) {
+    const key = profile ? `profile-${profile}`
+      : fingerprint ? `hostkey-${fingerprint.replace(/^SHA256:/, '')}`
+      : `host-${host}`;
+    return key.replace(/[^A-Za-z0-9_.-]/g, '_');
+  }
+
+  /**
+   * Path of the notes file for a key
+   */
+  filePath(key) {
+    return path.join(this.dir, `${key}.md`);
+  }
+
+  /**
+   * Load the notes of a host
+   * @param {string} key - From keyFor()
+   * @returns {Promise<string[]>} - Empty if there are none yet
+   */
+  async load(key) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath(key), 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw new Error(`Cannot read notes ${this.filePath(key)}: ${err.message}`);
+    }
+    return this.parse(raw);
+  }
+
+  /**
+   * Read the notes out of a notes file
+   */
+  parse(text) {
+    const notes = [];
+    for (const line of text.split('\n')) {
+      const item = line.match(/^\s*[-*]\s+(.*)$/);
+      if (item) {
+        notes.push(item[1].trim());
+      } else if (/^\s+\S/.test(line) && notes.length > 0) {
+        notes[notes.length - 1] += ` ${line.trim()}`;
+      }
+    }
+    return notes.filter(Boolean);
+  }
+
+  /**
+   * Save the notes of a host (readable only by the user - notes can be sensitive)
+   * @param {string} key - From keyFor()
+   * @param {string[]} notes - The complete list
+   * @param {string} title - Host name for the heading
+   */
+  async save(key, notes, title) {
+    const lines = [`# Notes for ${title}`, '', ...notes.map(note => `- ${note.replace(/\s*\n\s*/g, ' ')}`), ''];
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(this.filePath(key), lines.join('\n'), { encoding: 'utf-8', mode: 0o600 });
+  }
+
+  /**
+   * Add a note to a host's notes
+   * @returns {Promise<string[]>} - All notes of the host
+   */
+  async add(key, note, title) {
+    const notes = await this.load(key);
+    notes.push(note.trim());
+    await this.save(key, notes, title);
+    return notes;
+  }
+}
+
+export default NotesStore;
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import { LLMProvider } from './llm-provider.js';
+
+/**
+ * OpenAI-compatible chat completions with function calling: OpenAI itself,
+ * and local servers like Ollama (http://localhost:11434/v1), vLLM and the
+ * llama.cpp server. Tool calls need a model that supports function calling.
+ */
+export class OpenAIProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - Model name as the server knows it
+   * @param {string} [options.baseUrl] - API endpoint up to /v1 (default https://api.openai.com/v1)
+   * @param {string} [options.apiKey] - API key (local servers usually need none)
+   * @param {number} [options.timeout] - Request timeout in ms (default 300000 - local models can be slow)
+   */
+  constructor({ model, baseUrl, apiKey, timeout }) {
+    super({ model });
+    this.name = 'openai';
+    this.baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = apiKey || '';
+    this.timeout = timeout || 300000;
+  }
+
+  async complete({ system, messages, tools, maxTokens, onText, signal }) {
+    const body = {
+      model: this.model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'system', content: system }, ...this.toOpenAIMessages(messages)],
+      // Usage comes as a last chunk of the stream only when asked for
+      ...(onText ? { stream: true, stream_options: { include_usage: true } } : {}),
+    };
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema },
+      }));
+    }
+
+    const timeout = AbortSignal.timeout(this.timeout);
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+        },
+        body: JSON.stringify(body),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (error.name === 'TimeoutError') {
+        throw new Error(`No response from ${this.baseUrl} within ${this.timeout / 1000}s`);
+      }
+      const err = new Error(`Cannot reach ${this.baseUrl}: ${error.cause?.message || error.message}`);
+      err.connectionError = true;
+      throw err;
+    }
+
+    if (!response.ok || !onText) {
+      const text = await response.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = null;
+      }
+      if (!response.ok) {
+        const err = new Error(`${response.status} ${data?.error?.message || text.slice(0, 200) || response.statusText}`);
+        err.status = response.status;
+        err.retryAfter = this.parseRetryAfter(response.headers.get('retry-after'));
+        throw err;
+      }
+      if (!data?.choices?.length) {
+        throw new Error(`Unexpected response from ${this.baseUrl}: ${text.slice(0, 200)}`);
+      }
+      return { ...this.fromOpenAIChoice(data.choices[0]), usage: this.fromOpenAIUsage(data.usage) };
+    }
+
+    const { choice, usage } = await this.readStream(response.body, onText);
+    return { ...this.fromOpenAIChoice(choice), usage: this.fromOpenAIUsage(usage) };
+  }
+
+  /**
+   * Read a streamed completion (server-sent events) and put the choice back
+   * together: text deltas go to onText, tool calls arrive in pieces keyed by
+   * their index - the arguments as JSON string fragments.
+   * @returns {Promise<{choice: Object, usage: Object|null}>} - The choice as in a
+   *   non-streamed response, and the usage if the server sent it
+   */
+  async readStream(stream, onText) {
+    const decoder = new TextDecoder();
+    const toolCalls = [];
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    let buffer = '';
+
+    const handleEvent = (data) => {
+      if (data === '[DONE]') return;
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch {
+        return;
+      }
+      if (chunk.error) {
+        throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+      }
+      usage = chunk.usage || usage;
+      const choice = chunk.choices?.[0];
+      if (!choice) return;
+
+      const delta = choice.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onText(delta.content);
+      }
+      for (const part of delta.tool_calls || []) {
+        const index = part.index ?? toolCalls.length;
+        const call = toolCalls[index] || (toolCalls[index] = { id: null, function: { name: '', arguments: '' } });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) {
+          call.function.arguments += typeof part.function.arguments === 'string'
+            ? part.function.arguments
+            : JSON.stringify(part.function.arguments);
+        }
+      }
+      finishReason = choice.finish_reason || finishReason;
+    };
+
+    try {
+      for await (const bytes of stream) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (line.startsWith('data:')) handleEvent(line.slice(5).trim());
+        }
+      }
+      if (buffer.startsWith('data:')) handleEvent(buffer.slice(5).trim());
+    } catch (error) {
+      // Only servers that send usage with every chunk have any to report here
+      error.usage = this.fromOpenAIUsage(usage);
+      throw error;
+    }
+
+    return {
+      choice: {
+        message: { content, tool_calls: toolCalls.filter(Boolean) },
+        finish_reason: finishReason,
+      },
+      usage,
+    };
+  }
+
+  /**
+   * Anthropic messages -> OpenAI messages. tool_use blocks become the
+   * assistant's tool_calls, tool_result blocks become "tool" messages.
+   */
+  toOpenAIMessages(messages) {
+    const result = [];
+    for (const message of messages) {
+      if (typeof message.content === 'string') {
+        result.push({ role: message.role, content: message.content });
+        continue;
+      }
+
+      const text = message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+
+      if (message.role === 'assistant') {
+        const toolCalls = message.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({
+            id: block.id,
+            type: 'function',
+            function: { name: block.name, arguments: JSON.stringify(block.input) },
+          }));
+        result.push({
+          role: 'assistant',
+          content: text || null,
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+        });
+        continue;
+      }
+
+      // Tool results have to follow the assistant message directly
+      for (const block of message.content.filter(b => b.type === 'tool_result')) {
+        result.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: typeof block.content === 'string'
+            ? block.content
+            : (block.content || []).filter(b => b.type === 'text').map(b => b.text).join('\n'),
+        });
+      }
+      if (text) {
+        result.push({ role: 'user', content: text });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * An OpenAI choice -> Anthropic content blocks and stop reason
+   */
+  fromOpenAIChoice(choice) {
+    const message = choice.message || {};
+    const content = [];
+    if (message.content) {
+      content.push({ type: 'text', text: message.content });
+    }
+    for (const call of message.tool_calls || []) {
+      let input;
+      try {
+        input = typeof call.function.arguments === 'string'
+          ? JSON.parse(call.function.arguments || '{}')
+          : call.function.arguments || {};
+      } catch {
+        // Small models sometimes produce broken JSON - AdminKlaus answers it with an error
+        input = { _invalid_arguments: call.function.arguments };
+      }
+      content.push({
+        type: 'tool_use',
+        // Some local servers leave out the ids
+        id: call.id || `call_${crypto.randomBytes(8).toString('hex')}`,
+        name: call.function.name,
+        input,
+      });
+    }
+
+    const stopReasons = { tool_calls: 'tool_use', function_call: 'tool_use', length: 'max_tokens' };
+    const hasToolCalls = content.some(block => block.type === 'tool_use');
+    return {
+      content,
+      stopReason: hasToolCalls ? 'tool_use' : stopReasons[choice.finish_reason] || 'end_turn',
+    };
+  }
+
+  /**
+   * OpenAI usage -> our usage; cached prompt tokens are part of prompt_tokens there
+   */
+  fromOpenAIUsage(usage) {
+    if (!usage) return null;
+    const cached = usage.prompt_tokens_details?.cached_tokens || 0;
+    return {
+      inputTokens: (usage.prompt_tokens || 0) - cached,
+      outputTokens: usage.completion_tokens || 0,
+      cacheReadTokens: cached,
+      cacheWriteTokens: 0,
+    };
+  }
+
+  describe() {
+    return `openai-compatible ${this.baseUrl} (${this.model})`;
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,600 @@
+import path from 'path';
+
+/**
+ * Classifies shell commands by how much damage they can do
+ *
+ * Levels:
+ *   low    - read-only or routine commands
+ *   medium - changes that are usually recoverable (service stops, package removals)
+ *   high   - destructive or hard to undo (recursive deletes, disk writes, firewall
+ *            flushes, reboots, piping downloads into a shell)
+ */
+export class RiskAnalyzer {
+  constructor() {
+    this.levels = ['low', 'medium', 'high'];
+
+    // Directories where recursive permission/ownership changes break the system
+    this.systemPaths = [
+      '/', '/bin', '/boot', '/dev', '/etc', '/home', '/lib', '/lib64', '/opt',
+      '/proc', '/root', '/sbin', '/srv', '/sys', '/usr', '/var',
+    ];
+    // Of those, the ones that hold users' and applications' own data below them
+    // (/home/alice, /srv/app) - only the directory itself counts as a system path
+    this.dataRoots = ['/', '/home', '/opt', '/root', '/srv'];
+
+    // Shells whose -c string is a command line of its own, and how deep to follow them
+    this.shells = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash', 'su']);
+    this.maxNesting = 4;
+
+    // Files whose breakage can lock everyone out or stop the host from booting
+    this.criticalFiles = [
+      /^\/etc\/(passwd|shadow|group|gshadow|sudoers|fstab|crypttab)$/,
+      /^\/etc\/sudoers\.d\//,
+      /^\/etc\/pam\.d\//,
+      /^\/etc\/ssh\/sshd_config(\.d\/.*)?$/,
+      /^\/etc\/default\/grub$/,
+      /^\/boot\//,
+    ];
+
+    // Commands that may prefix the real command, with their options that take a value
+    this.wrappers = {
+      sudo: ['-u', '-g', '-p', '-C', '-h', '-U', '-r', '-t'],
+      doas: ['-u', '-C'],
+      env: ['-u', '-C', '-S'],
+      nice: ['-n'],
+      ionice: ['-c', '-n', '-p'],
+      nohup: [],
+      time: [],
+      exec: ['-a'],
+      command: [],
+      xargs: ['-I', '-i', '-n', '-P', '-L', '-l', '-d', '-E', '-e', '-s', '-a', '--max-args', '--max-procs', '--max-lines', '--delimiter', '--arg-file'],
+    };
+
+    // Programs that only look at the system, and the subcommands that only look
+    // for programs where it depends on the subcommand
+    this.readOnlyPrograms = new Set([
+      'ls', 'cat', 'less', 'more', 'head', 'tail', 'grep', 'egrep', 'fgrep', 'zgrep', 'wc', 'stat',
+      'file', 'du', 'df', 'free', 'uptime', 'w', 'who', 'whoami', 'id', 'groups', 'hostname',
+      'uname', 'date', 'ps', 'pgrep', 'top', 'htop', 'vmstat', 'iostat', 'mpstat', 'sar', 'lsof',
+      'ss', 'netstat', 'ping', 'traceroute', 'dig', 'nslookup', 'host', 'which', 'whereis', 'type',
+      'echo', 'printf', 'env', 'printenv', 'lsblk', 'blkid', 'findmnt', 'lscpu', 'lsmod', 'lspci',
+      'lsusb', 'dmesg', 'journalctl', 'last', 'getent', 'test', '[', 'true', 'sort', 'uniq',
+      'cut', 'awk', 'tr', 'column', 'jq', 'diff', 'md5sum', 'sha256sum', 'readlink', 'realpath',
+      'pwd', 'history', 'tree', 'watch', 'nproc',
+    ]);
+    this.readOnlySubcommands = {
+      systemctl: ['status', 'is-active', 'is-enabled', 'is-failed', 'list-units', 'list-unit-files', 'list-timers', 'show', 'cat'],
+      service: ['--status-all'],
+      apt: ['list', 'show', 'search', 'policy'],
+      'apt-cache': ['show', 'search', 'policy', 'depends', 'rdepends'],
+      dnf: ['list', 'info', 'search', 'repolist'],
+      yum: ['list', 'info', 'search', 'repolist'],
+      docker: ['ps', 'images', 'logs', 'inspect', 'stats', 'version', 'info'],
+      kubectl: ['get', 'describe', 'logs', 'top', 'version'],
+      ip: ['addr', 'a', 'route', 'r', 'link', 'neigh'],
+      git: ['status', 'log', 'diff', 'show', 'branch'],
+      pm2: ['list', 'ls', 'status', 'logs', 'show', 'describe'],
+      ufw: ['status'],
+      crontab: ['-l'],
+    };
+  }
+
+  /**
+   * Analyze a command line
+   * @param {string} command - The bash command
+   * @returns {{level: string, reasons: string[]}}
+   */
+  analyze(command) {
+    const findings = this.commandFindings(command);
+
+    let level = 'low';
+    for (const finding of findings) {
+      if (this.levels.indexOf(finding.level) > this.levels.indexOf(level)) {
+        level = finding.level;
+      }
+    }
+
+    return {
+      level,
+      reasons: [...new Set(findings.map(f => f.reason))],
+    };
+  }
+
+  /**
+   * Findings for a whole command line
+   * @param {string} command - The bash command
+   * @param {number} [depth] - How many shells deep (sh -c '...') it is
+   * @returns {Array<{level: string, reason: string}>}
+   */
+  commandFindings(command, depth = 0) {
+    const findings = [];
+
+    // Downloads piped into a shell can run anything
+    if (/\b(curl|wget)\b[^|]*\|\s*(sudo\s+)?(ba|z|k|da)?sh\b/.test(command)
+      || /\b(ba|z)?sh\s+(-c\s+)?["']?\$\(\s*(curl|wget)\b/.test(command)
+      || /\b(ba|z)?sh\s+<\(\s*(curl|wget)\b/.test(command)) {
+      findings.push({ level: 'high', reason: 'pipes downloaded content into a shell' });
+    }
+
+    // Redirecting output onto a block device overwrites the disk
+    if (/>\s*\/dev\/(sd|hd|vd|xvd|nvme|mmcblk|md|dm-)/.test(command)) {
+      findings.push({ level: 'high', reason: 'writes directly to a block device' });
+    }
+
+    for (const words of this.splitCommands(command)) {
+      findings.push(...this.analyzeSimpleCommand(words, depth));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Classify writing a whole file (the write_file tool)
+   * @param {string} filePath - Absolute path of the file
+   * @returns {{level: string, reasons: string[]}}
+   */
+  analyzeFileWrite(filePath) {
+    if (this.criticalFiles.some(re => re.test(filePath))) {
+      return { level: 'high', reasons: ['overwrites a file that can lock you out or break booting'] };
+    }
+    if (this.systemPaths.some(p => p !== '/' && p !== '/home' && filePath.startsWith(`${p}/`))) {
+      return { level: 'medium', reasons: ['overwrites a system file'] };
+    }
+    return { level: 'low', reasons: [] };
+  }
+
+  /**
+   * Absolute paths of the files a command is likely to change, so they can be
+   * backed up first. Relative paths and whole directories are not covered.
+   * @param {string} command - The bash command
+   * @returns {string[]}
+   */
+  modifiedFiles(command) {
+    const files = [];
+    const add = (p) => {
+      if (p && p.startsWith('/') && !p.startsWith('/dev/') && !p.startsWith('/proc/') && !p.endsWith('/')) {
+        files.push(p);
+      }
+    };
+
+    // Output redirections (> file, >> file, &> file)
+    for (const match of command.matchAll(/(?:^|[^<>&\d])(?:\d|&)?>>?\|?\s*(['"]?)(\/[^\s;|&)'"]+)\1/g)) {
+      add(match[2]);
+    }
+
+    for (let words of this.splitCommands(command)) {
+      words = this.stripWrappers(words).filter(w => !/^\d*>|^&>/.test(w));
+      if (words.length === 0) continue;
+
+      const name = words[0].split('/').pop();
+      const args = words.slice(1);
+      const operands = args.filter(a => !a.startsWith('-'));
+
+      switch (name) {
+        case 'sed':
+          if (args.some(a => /^-[a-zA-Z]*i|^--in-place/.test(a))) {
+            // Without -e/-f the first operand is the script
+            const hasScript = args.some(a => ['-e', '-f', '--expression', '--file'].includes(a) || /^--(expression|file)=/.test(a));
+            const scriptValues = new Set(args.filter((a, i) => ['-e', '-f', '--expression', '--file'].includes(args[i - 1])));
+            operands.filter(a => !scriptValues.has(a)).slice(hasScript ? 0 : 1).forEach(add);
+          }
+          break;
+
+        case 'tee':
+        case 'rm':
+        case 'unlink':
+        case 'touch':
+        case 'vi':
+        case 'vim':
+        case 'nvim':
+        case 'nano':
+        case 'mcedit':
+        case 'emacs':
+          operands.forEach(add);
+          break;
+
+        case 'cp':
+        case 'install':
+        case 'ln':
+        case 'rsync':
+          // Only the destination changes
+          if (operands.length >= 2) add(operands[operands.length - 1]);
+          break;
+
+        case 'mv':
+          operands.forEach(add);
+          break;
+
+        case 'chmod':
+        case 'chown':
+        case 'chgrp':
+          if (!args.some(a => /^-[a-zA-Z]*R|^--recursive/.test(a))) {
+            operands.slice(1).forEach(add);
+          }
+          break;
+
+        case 'truncate':
+          args.filter((a, i) => !a.startsWith('-') && !['-s', '--size'].includes(args[i - 1])).forEach(add);
+          break;
+
+        case 'dd':
+          add(args.find(a => a.startsWith('of='))?.slice(3));
+          break;
+      }
+    }
+
+    return [...new Set(files)];
+  }
+
+  /**
+   * Whether a command only reads: every part of it is a known read-only program
+   * and nothing is redirected into a file. Unknown commands count as changing state.
+   */
+  isReadOnly(command) {
+    // Redirections that don't write files (2>&1, >/dev/null) are harmless
+    const cleaned = command
+      .replace(/\d*>&\d+/g, ' ')
+      .replace(/\d*>>?\s*\/dev\/null/g, ' ');
+
+    // Any other output redirection writes a file
+    if (/>/.test(cleaned)) {
+      return false;
+    }
+
+    return this.splitCommands(cleaned).every(words => {
+      words = this.stripWrappers(words);
+      if (words.length === 0) return true;
+
+      const name = words[0].split('/').pop();
+      const args = words.slice(1);
+      if (this.readOnlyPrograms.has(name)) {
+        return true;
+      }
+      if (name === 'find') {
+        return !args.some(a => ['-delete', '-exec', '-execdir', '-ok'].includes(a));
+      }
+      if (name === 'nginx' || name === 'apachectl' || name === 'sshd') {
+        return args.some(a => ['-t', '-T', '-v', '-V', 'configtest'].includes(a));
+      }
+
+      const readOnly = this.readOnlySubcommands[name];
+      return readOnly ? readOnly.includes(args.find(a => !a.startsWith('-')) || args[0]) : false;
+    });
+  }
+
+  /**
+   * Check one simple command (no pipes or separators)
+   * @param {string[]} words - The command's words
+   * @param {number} [depth] - How many shells deep it is
+   */
+  analyzeSimpleCommand(words, depth = 0) {
+    const findings = [];
+    const add = (level, reason) => findings.push({ level, reason });
+
+    words = this.stripWrappers(words);
+    if (words.length === 0) return findings;
+
+    const [program, ...args] = words;
+    const name = program.split('/').pop();
+    const flags = args.filter(a => a.startsWith('-'));
+    const operands = args.filter(a => !a.startsWith('-'));
+    const hasShortFlag = (letter) => flags.some(f => /^-[^-]/.test(f) && f.includes(letter));
+    const hasFlag = (...names) => flags.some(f => names.includes(f));
+    const sub = operands[0];
+
+    // A command line in a string (bash -c '...', su -c '...', eval '...', ssh host '...') is rated like one typed directly
+    const script = this.shellScript(name, args);
+    if (script !== null) {
+      if (depth >= this.maxNesting) {
+        add('high', 'nests shells too deep to check');
+      } else {
+        findings.push(...this.commandFindings(script, depth + 1));
+      }
+      return findings;
+    }
+
+    switch (name) {
+      case 'rm': {
+        const recursive = hasShortFlag('r') || hasShortFlag('R') || hasFlag('--recursive');
+        if (recursive) {
+          add('high', 'recursive delete');
+        } else {
+          add('medium', 'deletes files');
+        }
+        if ((recursive && operands.some(p => this.isSystemPath(p))) || hasFlag('--no-preserve-root')) {
+          add('high', 'deletes a system directory');
+        }
+        break;
+      }
+
+      case 'find': {
+        if (args.includes('-delete')) {
+          add('high', 'deletes every file find matches');
+        }
+        // -exec rm {} \; runs a command per match - rate that command
+        args.forEach((arg, i) => {
+          if (['-exec', '-execdir', '-ok', '-okdir'].includes(arg)) {
+            const end = args.findIndex((a, j) => j > i && (a === ';' || a === '+'));
+            const execWords = args.slice(i + 1, end === -1 ? args.length : end);
+            findings.push(...this.analyzeSimpleCommand(execWords, depth));
+          }
+        });
+        break;
+      }
+
+      case 'shred':
+      case 'wipefs':
+        add('high', 'destroys data on disk');
+        break;
+
+      case 'dd':
+        add('high', 'raw disk copy (dd)');
+        break;
+
+      case 'fdisk':
+      case 'sfdisk':
+      case 'gdisk':
+      case 'sgdisk':
+      case 'parted':
+        add('high', 'changes disk partitions');
+        break;
+
+      case 'chmod':
+      case 'chown':
+      case 'chgrp':
+        if (hasShortFlag('R') || hasFlag('--recursive')) {
+          if (operands.some(p => this.isSystemPath(p))) {
+            add('high', `recursive ${name} on a system path`);
+          } else {
+            add('medium', `recursive ${name}`);
+          }
+        }
+        break;
+
+      case 'iptables':
+      case 'ip6tables':
+        if (hasShortFlag('F') || hasShortFlag('X') || hasFlag('--flush', '--delete-chain')) {
+          add('high', 'flushes firewall rules');
+        } else if (hasShortFlag('P') && operands.includes('DROP')) {
+          add('high', 'changes the default firewall policy to DROP');
+        }
+        break;
+
+      case 'nft':
+        if (operands[0] === 'flush') {
+          add('high', 'flushes firewall rules');
+        }
+        break;
+
+      case 'ufw':
+        if (['disable', 'reset'].includes(sub)) {
+          add('high', `firewall ${sub}`);
+        } else if (['deny', 'reject', 'delete'].includes(sub)) {
+          add('medium', 'changes firewall rules');
+        }
+        break;
+
+      case 'apt':
+      case 'apt-get':
+      case 'aptitude':
+        if (['remove', 'purge', 'autoremove'].includes(sub)) {
+          add('medium', 'removes packages');
+        }
+        break;
+
+      case 'yum':
+      case 'dnf':
+      case 'zypper':
+        if (['remove', 'erase', 'autoremove', 'rm'].includes(sub)) {
+          add('medium', 'removes packages');
+        }
+        break;
+
+      case 'pacman':
+        if (flags.some(f => /^-R/.test(f))) {
+          add('medium', 'removes packages');
+        }
+        break;
+
+      case 'apk':
+      case 'snap':
+        if (['del', 'remove'].includes(sub)) {
+          add('medium', 'removes packages');
+        }
+        break;
+
+      case 'dpkg':
+      case 'rpm':
+        if (hasShortFlag('r') || hasShortFlag('P') || hasShortFlag('e') || hasFlag('--remove', '--purge', '--erase')) {
+          add('medium', 'removes packages');
+        }
+        break;
+
+      case 'systemctl':
+        if (['reboot', 'poweroff', 'halt', 'kexec', 'rescue', 'emergency', 'isolate'].includes(sub)) {
+          add('high', `system ${sub}`);
+        } else if (['stop', 'disable', 'mask', 'kill'].includes(sub)) {
+          add('medium', `${sub}s a service`);
+        }
+        break;
+
+      case 'service':
+        if (operands[1] === 'stop') {
+          add('medium', 'stops a service');
+        }
+        break;
+
+      case 'reboot':
+      case 'shutdown':
+      case 'poweroff':
+      case 'halt':
+        add('high', 'reboots or shuts down the system');
+        break;
+
+      case 'init':
+      case 'telinit':
+        if (['0', '6'].includes(sub)) {
+          add('high', 'reboots or shuts down the system');
+        }
+        break;
+
+      case 'kill':
+      case 'pkill':
+      case 'killall':
+        add('medium', 'kills processes');
+        break;
+
+      case 'userdel':
+      case 'groupdel':
+        add('medium', 'deletes accounts');
+        break;
+
+      case 'truncate':
+        add('medium', 'truncates files');
+        break;
+
+      default:
+        if (/^mkfs(\.|$)/.test(name) || name === 'mkswap') {
+          add('high', 'formats a filesystem');
+        }
+    }
+
+    return findings;
+  }
+
+  /**
+   * The command line a shell is told to run: the string after -c (also
+   * combined, as in bash -lc), the words after eval, or the words after the
+   * host of ssh (which runs them in the remote user's shell)
+   * @returns {string|null} - null if the program runs no command line string
+   */
+  shellScript(name, args) {
+    if (name === 'eval') {
+      return args.join(' ');
+    }
+    if (name === 'ssh') {
+      return this.sshCommand(args);
+    }
+    if (!this.shells.has(name)) {
+      return null;
+    }
+    const index = args.findIndex(a => (name === 'su' ? ['-c', '--command'].includes(a) : /^-[a-zA-Z]*c[a-zA-Z]*$/.test(a)));
+    return index !== -1 && index + 1 < args.length ? args[index + 1] : null;
+  }
+
+  /**
+   * The remote command of an ssh command line: its options skipped, the words
+   * after the host, joined with spaces as ssh does
+   * @returns {string|null} - null for a login without a command
+   */
+  sshCommand(args) {
+    // Options that take a value, from ssh(1)
+    const valueOptions = 'BbcDEeFIiJLlmOopQRSWw';
+    let i = 0;
+    while (i < args.length && args[i].startsWith('-')) {
+      const option = args[i++];
+      if (option === '--') break;
+      // In a group like -tp 22, the first option with a value takes the rest or the next word
+      const at = [...option.slice(1)].findIndex(letter => valueOptions.includes(letter));
+      if (at === option.length - 2) i++;
+    }
+    const command = args.slice(i + 1);
+    return command.length > 0 ? command.join(' ') : null;
+  }
+
+  /**
+   * Drop prefixes like sudo, env VAR=x, nohup, xargs so the real program comes first
+   */
+  stripWrappers(words) {
+    let i = 0;
+    while (i < words.length) {
+      const word = words[i];
+      if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) {
+        i++;
+      } else if (Object.hasOwn(this.wrappers, word)) {
+        i++;
+        // Skip the wrapper's own options (e.g. sudo -u postgres)
+        while (i < words.length && words[i].startsWith('-')) {
+          i += this.wrappers[word].includes(words[i]) ? 2 : 1;
+        }
+      } else {
+        break;
+      }
+    }
+    return words.slice(i);
+  }
+
+  /**
+   * Whether a path is one of the system directories (or the root), or below
+   * one that is not a data root (/usr/local, /etc/nginx, /var/lib/mysql)
+   */
+  isSystemPath(p) {
+    const normalized = path.posix.normalize(p).replace(/\/+\*?$/, '') || '/';
+    if (!normalized.startsWith('/')) {
+      return false;
+    }
+    return this.systemPaths.includes(normalized)
+      || this.systemPaths.some(dir => !this.dataRoots.includes(dir) && normalized.startsWith(`${dir}/`));
+  }
+
+  /**
+   * Split a command line into simple commands at ; && || | and newlines,
+   * and each simple command into words. Quotes are honored, but this is not
+   * a full shell parser - it only needs to be good enough to spot risky programs.
+   * @returns {string[][]}
+   */
+  splitCommands(command) {
+    const commands = [];
+    let words = [];
+    let word = '';
+    let inWord = false;
+    let quote = null;
+
+    const endWord = () => {
+      if (inWord) {
+        words.push(word);
+      }
+      word = '';
+      inWord = false;
+    };
+    const endCommand = () => {
+      endWord();
+      if (words.length > 0) {
+        commands.push(words);
+      }
+      words = [];
+    };
+
+    for (let i = 0; i < command.length; i++) {
+      const ch = command[i];
+
+      if (quote) {
+        if (ch === quote) {
+          quote = null;
+        } else if (ch === '\\' && quote === '"' && i + 1 < command.length) {
+          word += command[++i];
+        } else {
+          word += ch;
+        }
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+        inWord = true;
+      } else if (ch === '\\' && i + 1 < command.length) {
+        word += command[++i];
+        inWord = true;
+      } else if (ch === ';' || ch === '|' || ch === '&' || ch === '\n' || ch === '(' || ch === ')' || ch === '`') {
+        endCommand();
+      } else if (/\s/.test(ch)) {
+        endWord();
+      } else {
+        word += ch;
+        inWord = true;
+      }
+    }
+    endCommand();
+
+    return commands;
+  }
+}
+
+export default RiskAnalyzer;
@@ -0,0 +1,182 @@
+/**
+ * Turns a session's command log into change-management artifacts: a Markdown
+ * runbook and a re-runnable bash script
+ */
+export class RunbookExporter {
+  /**
+   * @param {RiskAnalyzer} riskAnalyzer - Used to tell read-only from state-changing commands
+   */
+  constructor(riskAnalyzer) {
+    this.riskAnalyzer = riskAnalyzer;
+    this.maxOutputLines = 20;
+  }
+
+  /**
+   * Build a Markdown runbook
+   * @param {Array} entries - ContextManager.commandLog
+   * @param {Object} meta - Session info
+   * @param {string} meta.name - Session name
+   * @param {string} meta.target - user@host:port
+   * @param {string} meta.sessionId - Session id
+   * @returns {string}
+   */
+  toMarkdown(entries, meta) {
+    entries = this.normalize(entries);
+    const lines = [
+      `# Runbook: ${meta.name}`,
+      '',
+      `- Host: ${meta.name} (${meta.target})`,
+      `- Session: ${meta.sessionId}`,
+      `- Exported: ${new Date().toISOString()}`,
+      `- Steps: ${entries.length} (${entries.filter(e => e.status === 'executed' && e.success).length} succeeded, ${entries.filter(e => e.status === 'executed' && !e.success).length} failed, ${entries.filter(e => e.status !== 'executed').length} not executed)`,
+      '',
+    ];
+
+    let goal = null;
+    entries.forEach((entry, i) => {
+      if (entry.goal !== goal) {
+        goal = entry.goal;
+        lines.push(`## Goal: ${this.firstLine(goal) || '(none recorded)'}`, '');
+      }
+
+      lines.push(`### Step ${i + 1}: ${this.firstLine(entry.explanation) || entry.command}${this.stepMarker(entry)}`, '');
+      if (entry.tool === 'write_file') {
+        // The change itself, as a diff - not a command that /run would replay
+        lines.push(`Writes \`${entry.command.replace(/^write_file /, '')}\`${entry.sudo ? ' (with sudo)' : ''}.`, '');
+        lines.push(`**Result:** ${this.describeResult(entry)}`, '');
+        if (entry.backup) {
+          lines.push(`**Backup:** \`${entry.backup}\``, '');
+        }
+        if (entry.status === 'executed' && entry.output) {
+          lines.push(...this.codeBlock(entry.success ? 'diff' : 'text', entry.output));
+        }
+        return;
+      }
+
+      if (entry.group) {
+        lines.push(`Runs on every host tagged \`${entry.group}\`.`, '');
+      }
+      if (entry.target) {
+        lines.push(`Runs in ${entry.target.replace(/ (.*)$/, ' `$1`')}.`, '');
+      }
+      if (entry.timeout) {
+        lines.push(`Time limit: ${entry.timeout}s.`, '');
+      }
+      lines.push(...this.codeBlock('bash', `${entry.sudo ? 'sudo ' : ''}${entry.command}`));
+      lines.push(`**Result:** ${this.describeResult(entry)}`, '');
+      if (entry.backup) {
+        lines.push(`**Backup:** \`${entry.backup}\``, '');
+      }
+
+      const output = this.trimOutput(entry.output);
+      if (entry.status === 'executed' && output) {
+        lines.push(...this.codeBlock('text', output));
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build a bash script of the successful, state-changing commands
+   * @param {Array} entries - ContextManager.commandLog
+   * @param {Object} meta - Session info (see toMarkdown)
+   * @returns {{script: string, count: number}}
+   */
+  toShellScript(entries, meta) {
+    const steps = this.normalize(entries).filter(e =>
+      e.status === 'executed'
+      && e.success
+      && !e.streaming
+      && !e.interactive
+      && !e.tool
+      && !e.group
+      && !e.target
+      && !this.riskAnalyzer.isReadOnly(e.command)
+    );
+
+    const lines = [
+      '#!/usr/bin/env bash',
+      `# Exported by Admin Klaus from session ${meta.sessionId} on ${meta.name} (${meta.target})`,
+      `# Exported: ${new Date().toISOString()}`,
+      '# Contains only the successful state-changing commands, in the order they ran.',
+      'set -e',
+      '',
+    ];
+
+    let goal = null;
+    steps.forEach((entry, i) => {
+      if (entry.goal !== goal) {
+        goal = entry.goal;
+        lines.push(`# === Goal: ${this.firstLine(goal) || '(none recorded)'}`, '');
+      }
+      lines.push(`# ${i + 1}. ${this.firstLine(entry.explanation) || 'no explanation recorded'}`);
+      lines.push(`${entry.sudo ? 'sudo ' : ''}${entry.command}`, '');
+    });
+
+    return { script: lines.join('\n'), count: steps.length };
+  }
+
+  /**
+   * A fenced code block, with a fence longer than any run of backticks in
+   * the content, so output like a README can't close it early
+   * @returns {string[]} - Its lines, followed by an empty one
+   */
+  codeBlock(language, content) {
+    const longest = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    return [`${fence}${language}`, content, fence, ''];
+  }
+
+  /**
+   * Entries logged before commands had a status were all executed. /undo
+   * restores are left out - they revert steps, they are not steps to replay.
+   */
+  normalize(entries) {
+    return entries.filter(e => !e.undo).map(e => ({ status: 'executed', ...e }));
+  }
+
+  /**
+   * Heading suffix for steps that did not succeed
+   */
+  stepMarker(entry) {
+    if (entry.status === 'declined' || entry.status === 'refused') return ' (not executed)';
+    if (!entry.success) return ' (failed)';
+    return '';
+  }
+
+  /**
+   * One-line description of how a step ended
+   */
+  describeResult(entry) {
+    switch (entry.status) {
+      case 'declined':
+        return '⊘ declined by the user - not executed';
+      case 'refused':
+        return `⊘ refused by policy - not executed${entry.output ? ` (${entry.output})` : ''}`;
+      default:
+        if (entry.success) return `✓ exit ${entry.exitCode}`;
+        if (entry.exitCode === 130) return '✗ stopped by the user (exit 130)';
+        return `✗ failed (exit ${entry.exitCode})`;
+    }
+  }
+
+  /**
+   * Keep the start of long output
+   */
+  trimOutput(output) {
+    if (!output) return '';
+    const lines = output.trimEnd().split('\n');
+    if (lines.length <= this.maxOutputLines) return lines.join('\n');
+    return [...lines.slice(0, this.maxOutputLines), `... (${lines.length - this.maxOutputLines} more lines)`].join('\n');
+  }
+
+  /**
+   * First line of a text, trimmed
+   */
+  firstLine(text) {
+    return (text || '').split('\n')[0].trim();
+  }
+}
+
+export default RunbookExporter;
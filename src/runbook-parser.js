@@ -0,0 +1,284 @@
+/**
+ * Reads the commands back out of a runbook: a Markdown runbook as written by
+ * RunbookExporter, or a plain bash script
+ */
+export class RunbookParser {
+  /**
+   * Parse a runbook
+   * @param {string} text - File contents
+   * @param {string} fileName - Used to tell Markdown from scripts
+   * @returns {{steps: Array<{command: string, explanation: string, requires_sudo: boolean, group?: string, target?: string, timeout_seconds?: number}>, skipped: number}}
+   *   skipped counts steps that were marked failed or not executed and are left out
+   */
+  parse(text, fileName = '') {
+    const isMarkdown = /\.(md|markdown)$/i.test(fileName) || /^```/m.test(text);
+    return isMarkdown ? this.parseMarkdown(text) : this.parseScript(text);
+  }
+
+  /**
+   * Markdown: every ```bash / ```sh / ```shell block is one step, explained by the heading above it
+   */
+  parseMarkdown(text) {
+    const steps = [];
+    let skipped = 0;
+    let heading = '';
+    let group = null;
+    let target = null;
+    let timeout = null;
+    let block = null;
+
+    for (const line of text.split('\n')) {
+      if (block) {
+        // Closed by a fence at least as long as the opening one
+        const closing = line.match(/^(`{3,})\s*$/);
+        if (closing && closing[1].length >= block.fence) {
+          const command = block.lines.join('\n').trim();
+          if (!block.isShell || !command) {
+            // Output or other non-command block
+          } else if (/\((failed|not executed)\)\s*$/.test(heading)) {
+            skipped++;
+          } else {
+            steps.push(this.makeStep(command, heading.replace(/^Step \d+:\s*/, ''), group, target, timeout));
+          }
+          if (block.isShell) {
+            group = null;
+            target = null;
+            timeout = null;
+          }
+          block = null;
+        } else {
+          block.lines.push(line);
+        }
+        continue;
+      }
+
+      const headingMatch = line.match(/^#{2,6}\s+(.*)$/);
+      if (headingMatch && !/^Goal:/.test(headingMatch[1])) {
+        heading = headingMatch[1].trim();
+        group = null;
+        target = null;
+        timeout = null;
+        continue;
+      }
+
+      const groupMatch = line.match(/^Runs on every host tagged `([^`]+)`/);
+      if (groupMatch) {
+        group = groupMatch[1];
+        continue;
+      }
+
+      const targetMatch = line.match(/^Runs in (container|pod) `([^`]+)`/);
+      if (targetMatch) {
+        target = `${targetMatch[1]} ${targetMatch[2]}`;
+        continue;
+      }
+
+      const timeoutMatch = line.match(/^Time limit: (\d+(?:\.\d+)?)s\b/);
+      if (timeoutMatch) {
+        timeout = Number(timeoutMatch[1]);
+        continue;
+      }
+
+      const fence = line.match(/^(`{3,})\s*([^\s`]*)/);
+      if (fence) {
+        // Only blocks marked as shell - bare and text fences hold output, never commands
+        block = { isShell: ['bash', 'sh', 'shell'].includes(fence[2]), fence: fence[1].length, lines: [] };
+      }
+    }
+
+    return { steps, skipped };
+  }
+
+  /**
+   * Script: one step per command, explained by the comment above it. Lines
+   * continued with \ (or ending in && || |), heredocs, strings spanning lines
+   * and compound statements (if ... fi, for/while/until ... done, case ... esac,
+   * { ... }, ( ... ), functions) each make one step.
+   * @throws {Error} - If one of them is not closed, or closed without being opened
+   */
+  parseScript(text) {
+    const steps = [];
+    const lines = text.split('\n');
+    let comment = '';
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i].trim();
+
+      if (line.startsWith('#')) {
+        if (!line.startsWith('#!')) {
+          comment = line.replace(/^#+\s*/, '').replace(/^\d+\.\s*/, '');
+        }
+        i++;
+        continue;
+      }
+      if (!line || /^set\s+-[euxo]/.test(line)) {
+        comment = '';
+        i++;
+        continue;
+      }
+
+      const first = i + 1;
+      const state = { quote: null, open: [], heredocs: [], continued: false };
+      const command = [];
+      do {
+        if (i >= lines.length) {
+          const what = state.quote ? `a ${state.quote} quoted string` : `'${state.open[state.open.length - 1]}'`;
+          throw new Error(`Line ${first}: ${what} is never closed`);
+        }
+        command.push(lines[i]);
+        this.scanLine(lines[i], state, ++i);
+
+        // Heredoc bodies follow the line that starts them
+        if (!state.continued) {
+          for (const { delimiter, line: heredocLine } of state.heredocs.splice(0)) {
+            for (;;) {
+              if (i >= lines.length) {
+                throw new Error(`Line ${heredocLine}: heredoc ${delimiter} is never closed`);
+              }
+              command.push(lines[i]);
+              if (lines[i++].trim() === delimiter) break;
+            }
+          }
+        }
+      } while (state.quote || state.open.length > 0 || state.continued);
+
+      steps.push(this.makeStep(command.join('\n').trim(), comment));
+      comment = '';
+    }
+
+    return { steps, skipped: 0 };
+  }
+
+  /**
+   * Follow one script line: quotes, comments, heredoc starts, and the
+   * keywords that open and close compound statements. Only as much of the
+   * shell grammar as it takes to tell where a command ends.
+   * @param {string} line
+   * @param {Object} state - {quote, open, heredocs, continued}, carried from line to line
+   * @param {number} lineNumber - For error messages
+   */
+  scanLine(line, state, lineNumber) {
+    const openers = ['if', 'case', 'for', 'while', 'until', 'select'];
+    const closers = { fi: ['if'], esac: ['case'], done: ['for', 'while', 'until', 'select'], '}': ['{'] };
+    // Keywords after which the next word is a command again
+    const leading = ['then', 'do', 'else', 'elif', '!', '{', 'if', 'while', 'until', 'time'];
+
+    // A line continued with \ goes on with the command it was in
+    let commandStart = !state.continued;
+    let functionName = false;
+    let word = '';
+
+    const endWord = () => {
+      if (!word) return;
+      if (commandStart && openers.includes(word)) {
+        state.open.push(word);
+      } else if (commandStart && word === '{') {
+        state.open.push('{');
+      } else if (commandStart && Object.hasOwn(closers, word)) {
+        if (!closers[word].includes(state.open[state.open.length - 1])) {
+          throw this.parseLineError(lineNumber, word, closers[word]);
+        }
+        state.open.pop();
+      }
+      // function name { ... }
+      commandStart = (commandStart && leading.includes(word)) || functionName;
+      functionName = word === 'function';
+      word = '';
+    };
+
+    for (let j = 0; j < line.length; j++) {
+      const ch = line[j];
+
+      if (state.quote) {
+        if (ch === '\\' && state.quote !== "'") {
+          j++;
+        } else if (ch === state.quote) {
+          state.quote = null;
+        }
+        continue;
+      }
+
+      if (ch === "'" || ch === '"' || ch === '`') {
+        state.quote = ch;
+        word += ch;
+      } else if (ch === '\\') {
+        word += line.slice(j, j + 2);
+        j++;
+      } else if (ch === '#' && !word) {
+        break;
+      } else if (line.startsWith('<<', j) && line[j + 2] !== '<') {
+        endWord();
+        const heredoc = line.slice(j).match(/^<<-?\s*(?:'([^']+)'|"([^"]+)"|\\?([^\s;&|<>()]+))/);
+        if (heredoc) {
+          state.heredocs.push({ delimiter: heredoc[1] || heredoc[2] || heredoc[3], line: lineNumber });
+          j += heredoc[0].length - 1;
+        } else {
+          j++;
+        }
+      } else if (line.startsWith('<<<', j)) {
+        endWord();
+        j += 2;
+      } else if (ch === '(') {
+        endWord();
+        state.open.push('(');
+        commandStart = true;
+      } else if (ch === ')') {
+        endWord();
+        // In a case statement, "pattern)" closes nothing
+        if (state.open[state.open.length - 1] === '(') {
+          state.open.pop();
+        } else if (state.open[state.open.length - 1] !== 'case') {
+          throw this.parseLineError(lineNumber, ')', ['(']);
+        }
+        commandStart = true;
+      } else if (ch === ';' || ch === '&' || ch === '|') {
+        endWord();
+        commandStart = true;
+      } else if (/\s/.test(ch)) {
+        endWord();
+      } else {
+        word += ch;
+      }
+    }
+
+    if (state.quote) {
+      state.continued = false;
+      return;
+    }
+    endWord();
+    // An unescaped \ at the end continues the line, and so does a trailing && || |
+    state.continued = /(^|[^\\])(\\\\)*\\$/.test(line.trimEnd()) || /(&&|\|\|?)\s*$/.test(line);
+  }
+
+  /**
+   * Error for a keyword that closes something that was never opened
+   */
+  parseLineError(lineNumber, word, expected) {
+    return new Error(`Line ${lineNumber}: '${word}' without a matching ${expected.map(k => `'${k}'`).join(' or ')}`);
+  }
+
+  /**
+   * A leading plain "sudo " becomes the requires_sudo flag, like Klaus's own commands
+   */
+  makeStep(command, explanation, group, target, timeout) {
+    const sudo = /^sudo\s+(?!-)/.test(command);
+    const step = {
+      command: sudo ? command.replace(/^sudo\s+/, '') : command,
+      explanation: explanation || 'Runbook step',
+      requires_sudo: sudo,
+    };
+    if (group) {
+      step.group = group;
+    }
+    if (target) {
+      step.target = target;
+    }
+    if (timeout) {
+      step.timeout_seconds = timeout;
+    }
+    return step;
+  }
+}
+
+export default RunbookParser;
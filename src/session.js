@@ -0,0 +1,151 @@
+import path from 'path';
+import { SSHManager } from './ssh-manager.js';
+import { ContextManager } from './context-manager.js';
+import { UsageTracker } from './usage-tracker.js';
+
+/**
+ * One connected target host with its own SSH connection, sudo password,
+ * system description, conversation and command log
+ */
+export class Session {
+  /**
+   * @param {string} name - Session name (host profile name or hostname)
+   * @param {Object} sshConfig - SSH connection config as passed to SSHManager.connect()
+   * @param {Object} [options]
+   * @param {string} [options.logDir] - Base log directory (default ./logs)
+   * @param {Executor} [options.executor] - Runs the commands (default: an SSHManager for sshConfig)
+   * @param {number} [options.budget] - LLM spending limit in USD (default: none)
+   */
+  constructor(name, sshConfig, options = {}) {
+    this.name = name;
+    this.sshConfig = sshConfig;
+    this.executor = options.executor || new SSHManager();
+    // Saved sessions of this host live below logs/<name>/
+    this.logDir = path.join(options.logDir || './logs', name);
+    this.contextManager = new ContextManager({ logDir: this.logDir });
+    this.sudoPassword = null;
+    this.systemDescription = '';
+    // Gathered on connect by FactGatherer (null until then)
+    this.facts = null;
+
+    // Persistent notes about the host (NotesStore), loaded on connect
+    this.notesKey = null;
+    this.notes = [];
+
+    // Plan mode: record proposed commands instead of running them
+    this.planMode = false;
+    // Commands recorded in plan mode
+    this.plan = [];
+
+    // Backed-up changes that /undo can revert, oldest first
+    this.undoStack = [];
+
+    // Container or pod that commands run in (null: the host itself)
+    this.execTarget = null;
+
+    // LLM tokens and cost (UsageTracker) and the spending limit in USD (null: none)
+    this.usage = UsageTracker.emptyTotals();
+    this.budget = options.budget || null;
+
+    // The last LLM turn if it failed or was cancelled, for /retry (see LLMClient.retry())
+    this.failedTurn = null;
+
+    // Background jobs that finished since Klaus was last told (see JobManager)
+    this.jobReports = [];
+  }
+
+  get isConnected() {
+    return this.executor.isConnected;
+  }
+
+  /**
+   * user@host:port of the target, or user@localhost (local) on this machine
+   */
+  get target() {
+    const { username, host, port } = this.sshConfig;
+    if (this.executor.isLocal) {
+      return `${username}@${host} (local)`;
+    }
+    return `${username}@${host}:${port || 22}`;
+  }
+
+  /**
+   * Session name as shown in the prompt, with the container or pod commands run in
+   */
+  get promptName() {
+    return this.execTarget ? `${this.name} [${this.execTarget.label}]` : this.name;
+  }
+
+  /**
+   * The host command for a command that should run on the session's target
+   * @param {string} command - The command as approved by the user
+   * @param {Object} [options] - Passed to ExecTarget.wrap()
+   */
+  wrapCommand(command, options) {
+    return this.execTarget ? this.execTarget.wrap(command, options) : command;
+  }
+
+  /**
+   * Connect to the host
+   */
+  async connect() {
+    await this.executor.connect(this.sshConfig);
+  }
+
+  /**
+   * Save the conversation and command log, with enough metadata to resume later
+   */
+  async saveLogs() {
+    await this.contextManager.saveLogs({
+      name: this.name,
+      target: this.target,
+      systemDescription: this.systemDescription,
+      undoStack: this.undoStack,
+    });
+  }
+
+  /**
+   * Resume a saved session of this host
+   * @param {string} sessionDir - Directory of the saved session
+   * @returns {Promise<Object|false>} - The saved metadata, or false if it could not be loaded
+   */
+  async resume(sessionDir) {
+    const metadata = await this.contextManager.loadLogs(sessionDir);
+    if (metadata && metadata.systemDescription && !this.systemDescription) {
+      this.systemDescription = metadata.systemDescription;
+    }
+    // The backups are on the host, so they can still be restored
+    if (metadata && metadata.undoStack && this.undoStack.length === 0) {
+      this.undoStack = metadata.undoStack;
+    }
+    return metadata;
+  }
+
+  /**
+   * Carry on where an earlier session under the same name left off (on a
+   * reconnect): conversation and command log, plan, undo stack, LLM usage
+   * and budget stay; the connection, sudo password and target are new
+   * @param {Session} previous
+   */
+  takeOver(previous) {
+    this.contextManager = previous.contextManager;
+    this.systemDescription = previous.systemDescription;
+    this.planMode = previous.planMode;
+    this.plan = previous.plan;
+    this.undoStack = previous.undoStack;
+    this.usage = previous.usage;
+    this.budget = previous.budget;
+    this.failedTurn = previous.failedTurn;
+    // Same array, so jobs still running on the old connection report here
+    this.jobReports = previous.jobReports;
+  }
+
+  /**
+   * Disconnect from the host
+   */
+  disconnect() {
+    this.executor.disconnect();
+  }
+}
+
+export default Session;
@@ -1,15 +1,18 @@
 import { Client } from 'ssh2';
-import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import { Executor } from './executor.js';
 
 /**
  * Manages SSH connections and command execution on remote servers
  */
-export class SSHManager extends EventEmitter {
+export class SSHManager extends Executor {
   constructor() {
     super();
     this.connection = null;
     this.config = null;
-    this.isConnected = false;
+    this.sftp = null;
   }
 
   /**
@@ -26,6 +29,9 @@ export class SSHManager extends EventEmitter {
     return new Promise((resolve, reject) => {
       this.connection = new Client();
       this.config = config;
+      this.sftp = null;
+      this.remoteUid = null;
+      this.hostKeyFingerprint = null;
 
       this.connection.on('ready', () => {
         this.isConnected = true;
@@ -41,6 +47,7 @@ export class SSHManager extends EventEmitter {
 
       this.connection.on('close', () => {
         this.isConnected = false;
+        this.sftp = null;
         this.emit('disconnected');
       });
 
@@ -51,6 +58,11 @@ export class SSHManager extends EventEmitter {
         password: config.password,
         privateKey: config.privateKey,
         passphrase: config.passphrase,
+        hostVerifier: (key) => {
+          // Not verified against known_hosts - only recorded to recognize the host
+          this.hostKeyFingerprint = `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+          return true;
+        },
       });
     });
   }
@@ -60,9 +72,10 @@ export class SSHManager extends EventEmitter {
    * @param {string} command - The bash command to execute
    * @param {Object} options - Execution options
    * @param {boolean} options.sudo - Whether to run with sudo
-   * @param {string} options.sudoPassword - Password for sudo
+   * @param {string} options.sudoPassword - Password for sudo (none: sudo -n, for NOPASSWD hosts)
    * @param {number} options.timeout - Command timeout in ms (default 60000)
-   * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+   * @returns {Promise<{stdout: string, stderr: string, exitCode: number, sudoError: string|null}>} -
+   *   sudoError is 'wrong_password' or 'password_required' when sudo did not accept the password
    */
   async execute(command, options = {}) {
     if (!this.isConnected) {
@@ -70,13 +83,7 @@ export class SSHManager extends EventEmitter {
     }
 
     const { sudo = false, sudoPassword = '', timeout = 60000 } = options;
-    
-    // If sudo is requested, wrap the command
-    let fullCommand = command;
-    if (sudo) {
-      // Use -S to read password from stdin, -p '' for empty prompt
-      fullCommand = `echo '${sudoPassword.replace(/'/g, "'\\''")}' | sudo -S -p '' ${command}`;
-    }
+    const { fullCommand, marker } = this.wrapSudo(command, sudo, sudoPassword);
 
     return new Promise((resolve, reject) => {
       let stdout = '';
@@ -89,27 +96,33 @@ export class SSHManager extends EventEmitter {
           return;
         }
 
-        // Set timeout
+        const sudoWatcher = this.watchSudo(stream, marker, sudoPassword);
+
+        // Set timeout - closing the channel alone leaves the remote process running
         timeoutId = setTimeout(() => {
+          stream.signal('TERM');
           stream.close();
-          reject(new Error(`Command timed out after ${timeout}ms`));
+          reject(this.timeoutError(timeout, stdout, stderr));
         }, timeout);
 
         stream.on('close', (code) => {
           clearTimeout(timeoutId);
+          stderr += sudoWatcher.flush();
           resolve({
             stdout: stdout.trim(),
             stderr: stderr.trim(),
             exitCode: code,
+            sudoError: sudoWatcher.error,
           });
         });
 
         stream.on('data', (data) => {
+          sudoWatcher.output();
           stdout += data.toString();
         });
 
         stream.stderr.on('data', (data) => {
-          stderr += data.toString();
+          stderr += sudoWatcher.filter(data.toString());
         });
       });
     });
@@ -120,7 +133,7 @@ export class SSHManager extends EventEmitter {
    * @param {string} command - The bash command to execute
    * @param {Object} options - Execution options
    * @param {boolean} options.sudo - Whether to run with sudo
-   * @param {string} options.sudoPassword - Password for sudo
+   * @param {string} options.sudoPassword - Password for sudo (none: sudo -n, for NOPASSWD hosts)
    * @param {function} options.onData - Callback for stdout data
    * @param {function} options.onError - Callback for stderr data
    * @returns {Promise<{abort: function, promise: Promise}>} - Returns an abort function and a promise
@@ -131,14 +144,10 @@ export class SSHManager extends EventEmitter {
     }
 
     const { sudo = false, sudoPassword = '', onData, onError } = options;
-    
-    // If sudo is requested, wrap the command
-    let fullCommand = command;
-    if (sudo) {
-      fullCommand = `echo '${sudoPassword.replace(/'/g, "'\\''")}' | sudo -S -p '' ${command}`;
-    }
+    const { fullCommand, marker } = this.wrapSudo(command, sudo, sudoPassword);
 
     let stream = null;
+    let closed = false;
     let aborted = false;
     let stdout = '';
     let stderr = '';
@@ -148,9 +157,10 @@ export class SSHManager extends EventEmitter {
       if (stream) {
         // Send SIGINT (Ctrl+C) to the remote process
         stream.signal('INT');
-        // Give it a moment, then close
+        // Give it a moment, then terminate it and close
         setTimeout(() => {
-          if (stream) {
+          if (!closed) {
+            stream.signal('TERM');
             stream.close();
           }
         }, 500);
@@ -165,17 +175,26 @@ export class SSHManager extends EventEmitter {
         }
 
         stream = s;
+        const sudoWatcher = this.watchSudo(stream, marker, sudoPassword);
 
         stream.on('close', (code) => {
+          closed = true;
+          const rest = sudoWatcher.flush();
+          stderr += rest;
+          if (onError && rest) {
+            onError(rest);
+          }
           resolve({
             stdout: stdout.trim(),
             stderr: stderr.trim(),
             exitCode: aborted ? 130 : code, // 130 = terminated by Ctrl+C
             aborted,
+            sudoError: sudoWatcher.error,
           });
         });
 
         stream.on('data', (data) => {
+          sudoWatcher.output();
           const text = data.toString();
           stdout += text;
           if (onData) {
@@ -184,9 +203,9 @@ export class SSHManager extends EventEmitter {
         });
 
         stream.stderr.on('data', (data) => {
-          const text = data.toString();
+          const text = sudoWatcher.filter(data.toString());
           stderr += text;
-          if (onError) {
+          if (onError && text) {
             onError(text);
           }
         });
@@ -197,45 +216,243 @@ export class SSHManager extends EventEmitter {
   }
 
   /**
-   * Execute multiple commands in sequence
-   * @param {string[]} commands - Array of commands
-   * @param {Object} options - Same as execute options
-   * @returns {Promise<Array<{command: string, stdout: string, stderr: string, exitCode: number}>>}
+   * Run an interactive program (vim, nano, htop, less, ...) in a remote PTY
+   * @param {string} command - The bash command to execute
+   * @param {Object} options - Execution options
+   * @param {boolean} options.sudo - Whether to run with sudo
+   * @param {string} options.sudoPassword - Password for sudo (none: the user answers sudo's prompt)
+   * @param {number} options.rows - Terminal height
+   * @param {number} options.cols - Terminal width
+   * @param {string} options.term - Terminal type (default xterm-256color)
+   * @param {function} options.onData - Callback for raw terminal output
+   * @returns {Promise<{write: function, resize: function, promise: Promise}>} - write sends
+   *   keystrokes, resize changes the PTY size, promise resolves with {exitCode} when the program exits
    */
-  async executeMany(commands, options = {}) {
-    const results = [];
-    
-    for (const command of commands) {
-      const result = await this.execute(command, options);
-      results.push({
-        command,
-        ...result,
+  async executeInteractive(command, options = {}) {
+    if (!this.isConnected) {
+      throw new Error('Not connected to any server');
+    }
+
+    const { sudo = false, sudoPassword = '', rows = 24, cols = 80, term = 'xterm-256color', onData } = options;
+
+    // On a PTY sudo reads the password from the terminal with echo off.
+    // Answer the first prompt; if it comes again the user types the password.
+    let fullCommand = command;
+    let marker = null;
+    if (sudo) {
+      marker = sudoPassword ? this.newSudoMarker() : null;
+      fullCommand = marker ? `sudo -p '${marker}' ${command}` : `sudo ${command}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.connection.exec(fullCommand, { pty: { rows, cols, term } }, (err, stream) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        let answered = false;
+        // Characters can be split across chunks - decode them as a whole
+        const decoder = new StringDecoder('utf8');
+        const stderrDecoder = new StringDecoder('utf8');
+
+        const promise = new Promise((resolveExit) => {
+          stream.on('close', (code) => {
+            const rest = decoder.end() + stderrDecoder.end();
+            if (rest && onData) {
+              onData(rest);
+            }
+            resolveExit({ exitCode: code ?? 0 });
+          });
+        });
+
+        stream.on('data', (data) => {
+          let text = decoder.write(data);
+          if (marker && text.includes(marker)) {
+            text = text.split(marker).join(answered ? '[sudo] password: ' : '');
+            if (!answered) {
+              answered = true;
+              stream.write(`${sudoPassword}\n`);
+            }
+          }
+          if (onData) {
+            onData(text);
+          }
+        });
+
+        // With a PTY, stderr is merged into the stream - this only catches stragglers
+        stream.stderr.on('data', (data) => {
+          if (onData) {
+            onData(stderrDecoder.write(data));
+          }
+        });
+
+        resolve({
+          write: (data) => stream.write(data),
+          resize: (newRows, newCols) => stream.setWindow(newRows, newCols, 0, 0),
+          promise,
+        });
       });
-      
-      // Stop on non-zero exit code
-      if (result.exitCode !== 0) {
-        break;
-      }
+    });
+  }
+
+  /**
+   * Open the SFTP subsystem (once per connection)
+   * @returns {Promise<SFTPWrapper>}
+   */
+  async getSftp() {
+    if (!this.isConnected) {
+      throw new Error('Not connected to any server');
     }
-    
-    return results;
+    if (this.sftp) {
+      return this.sftp;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.connection.sftp((err, sftp) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        sftp.on('close', () => {
+          this.sftp = null;
+        });
+        this.sftp = sftp;
+        resolve(sftp);
+      });
+    });
+  }
+
+  /**
+   * Call an SFTP method with a callback as a promise
+   */
+  async sftpCall(method, ...args) {
+    const sftp = await this.getSftp();
+    return new Promise((resolve, reject) => {
+      sftp[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+    });
   }
 
   /**
-   * Test the connection with a simple command
+   * Stat a remote file
+   * @param {string} remotePath - Absolute path
+   * @returns {Promise<{mode: number, uid: number, gid: number, size: number, mtime: number, isDirectory: boolean}|null>} -
+   *   null if the file does not exist
    */
-  async testConnection() {
+  async statFile(remotePath) {
     try {
-      const result = await this.execute('echo "Connection OK" && whoami && hostname');
+      const stats = await this.sftpCall('stat', remotePath);
       return {
-        success: result.exitCode === 0,
-        output: result.stdout,
+        mode: stats.mode & 0o7777,
+        uid: stats.uid,
+        gid: stats.gid,
+        size: stats.size,
+        mtime: stats.mtime,
+        isDirectory: stats.isDirectory(),
       };
     } catch (err) {
+      if (err.code === 2) return null; // SFTP "no such file"
+      throw err;
+    }
+  }
+
+  /**
+   * Read a remote file over SFTP
+   * @param {string} remotePath - Absolute path
+   * @param {Object} [range]
+   * @param {number} [range.start] - First byte (default 0)
+   * @param {number} [range.end] - Last byte, inclusive (default end of file)
+   * @returns {Promise<Buffer>}
+   */
+  async readFile(remotePath, { start, end } = {}) {
+    const sftp = await this.getSftp();
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const stream = sftp.createReadStream(remotePath, { start, end });
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+  }
+
+  /**
+   * List a remote directory over SFTP
+   * @param {string} remotePath - Absolute path
+   * @returns {Promise<Array<{name: string, type: string, size: number, mode: number, uid: number, gid: number, owner: string, group: string, mtime: number}>>}
+   */
+  async readDir(remotePath) {
+    const list = await this.sftpCall('readdir', remotePath);
+    return list.map(({ filename, longname, attrs }) => {
+      // longname is an "ls -l" line - the only place SFTP v3 has owner and group names
+      const [, , owner, group] = longname.split(/\s+/);
       return {
-        success: false,
-        error: err.message,
+        name: filename,
+        type: attrs.isDirectory() ? 'directory'
+          : attrs.isSymbolicLink() ? 'symlink'
+          : attrs.isFile() ? 'file'
+          : 'other',
+        size: attrs.size,
+        mode: attrs.mode & 0o7777,
+        uid: attrs.uid,
+        gid: attrs.gid,
+        owner: owner || String(attrs.uid),
+        group: group || String(attrs.gid),
+        mtime: attrs.mtime,
       };
+    });
+  }
+
+  /**
+   * Replace a remote file atomically: write a temporary file next to it, give
+   * it the old file's mode and owner, and rename it over the original
+   * @param {string} remotePath - Absolute path
+   * @param {string} content - New contents
+   * @param {Object} options
+   * @param {Object|null} options.stat - statFile() of the current file, null for a new file
+   * @param {boolean} options.sudo - Write as root (for files the SSH user can't write)
+   * @param {string} options.sudoPassword - Password for sudo
+   * @returns {Promise<{exitCode: number, stderr: string, sudoError: string|null}>}
+   */
+  async writeFileAtomic(remotePath, content, { stat = null, sudo = false, sudoPassword = '' } = {}) {
+    const suffix = crypto.randomBytes(6).toString('hex');
+    const mode = stat ? stat.mode : 0o644;
+
+    if (!sudo) {
+      const tmpPath = path.posix.join(path.posix.dirname(remotePath), `.${path.posix.basename(remotePath)}.klaus-${suffix}`);
+      try {
+        await this.sftpCall('writeFile', tmpPath, content, { mode });
+        await this.sftpCall('chmod', tmpPath, mode);
+        if (stat) {
+          // Keeps the group; fails harmlessly if we are not in it
+          await this.sftpCall('chown', tmpPath, stat.uid, stat.gid).catch(() => {});
+        }
+        try {
+          await this.sftpCall('ext_openssh_rename', tmpPath, remotePath);
+        } catch (err) {
+          if (!/does not support/.test(err.message)) throw err;
+          // Plain SFTP rename refuses to replace an existing file
+          const result = await this.execute(`mv -f ${this.shellQuote(tmpPath)} ${this.shellQuote(remotePath)}`);
+          if (result.exitCode !== 0) throw new Error(result.stderr);
+        }
+        return { exitCode: 0, stderr: '', sudoError: null };
+      } catch (err) {
+        await this.sftpCall('unlink', tmpPath).catch(() => {});
+        return { exitCode: 1, stderr: err.message, sudoError: null };
+      }
+    }
+
+    // As root: upload to a private temp file, then let sudo move it into place
+    const uploadPath = `/tmp/.klaus-upload-${suffix}`;
+    const script = this.replaceFileScript(uploadPath, remotePath, stat, suffix);
+
+    try {
+      await this.sftpCall('writeFile', uploadPath, content, { mode: 0o600 });
+      const result = await this.execute(`sh -c ${this.shellQuote(script)}`, { sudo: true, sudoPassword });
+      return { exitCode: result.exitCode, stderr: result.stderr, sudoError: result.sudoError };
+    } catch (err) {
+      return { exitCode: 1, stderr: err.message, sudoError: null };
+    } finally {
+      await this.sftpCall('unlink', uploadPath).catch(() => {});
     }
   }
 
@@ -246,6 +463,7 @@ export class SSHManager extends EventEmitter {
     if (this.connection) {
       this.connection.end();
       this.connection = null;
+      this.sftp = null;
       this.isConnected = false;
     }
   }
@@ -0,0 +1,201 @@
+/**
+ * Line-based unified diffs, for reviewing file changes before they are written
+ */
+export class TextDiff {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.context] - Unchanged lines shown around each change (default 3)
+   * @param {number} [options.maxEdits] - Changed lines above which only a summary is shown (default 1000)
+   */
+  constructor(options = {}) {
+    this.context = options.context ?? 3;
+    this.maxEdits = options.maxEdits ?? 1000;
+  }
+
+  /**
+   * Build a unified diff
+   * @param {string} oldText - Current contents
+   * @param {string} newText - Proposed contents
+   * @param {Object} labels
+   * @param {string} labels.fromFile - Name shown for the old side ("/dev/null" for new files)
+   * @param {string} labels.toFile - Name shown for the new side
+   * @returns {{text: string, added: number, removed: number}} - Counts every line as changed if the diff was too large to compute
+   */
+  unified(oldText, newText, { fromFile, toFile }) {
+    const a = this.splitLines(oldText);
+    const b = this.splitLines(newText);
+    const ops = this.diffLines(a, b);
+    if (!ops) {
+      return {
+        text: [`--- ${fromFile}`, `+++ ${toFile}`, `@@ file replaced: ${a.length} -> ${b.length} lines, too many changes to show @@`].join('\n'),
+        added: b.length,
+        removed: a.length,
+      };
+    }
+
+    const added = ops.filter(op => op.type === '+').length;
+    const removed = ops.filter(op => op.type === '-').length;
+    if (oldText === newText) {
+      return { text: '', added, removed };
+    }
+
+    const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+    for (const hunk of this.hunks(ops)) {
+      lines.push(hunk.header, ...hunk.lines);
+    }
+    const oldNewline = oldText === '' || oldText.endsWith('\n');
+    const newNewline = newText === '' || newText.endsWith('\n');
+    if (oldNewline !== newNewline) {
+      lines.push(newNewline ? '\\ Adds the missing newline at end of file' : '\\ No newline at end of file');
+    }
+
+    return { text: lines.join('\n'), added, removed };
+  }
+
+  /**
+   * Split into lines without the trailing empty line of a final newline
+   */
+  splitLines(text) {
+    if (text === '') return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  /**
+   * Shortest edit script between two line arrays (Myers' algorithm). The
+   * common head and tail are skipped, and the search gives up after
+   * maxEdits changed lines, so memory stays bounded for rewritten files.
+   * @returns {Array<{type: ' '|'-'|'+', line: string, oldIndex: number, newIndex: number}>|null} - null if more than maxEdits lines changed
+   */
+  diffLines(a, b) {
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+    const oldMiddle = a.slice(head, a.length - tail);
+    const newMiddle = b.slice(head, b.length - tail);
+    // Pure insertions and deletions need no search
+    const middle = oldMiddle.length === 0 || newMiddle.length === 0
+      ? [
+        ...oldMiddle.map((line, i) => ({ type: '-', line, oldIndex: i, newIndex: 0 })),
+        ...newMiddle.map((line, i) => ({ type: '+', line, oldIndex: 0, newIndex: i })),
+      ]
+      : this.myers(oldMiddle, newMiddle);
+    if (!middle) return null;
+
+    const ops = [];
+    for (let i = 0; i < head; i++) {
+      ops.push({ type: ' ', line: a[i], oldIndex: i, newIndex: i });
+    }
+    for (const op of middle) {
+      ops.push({ ...op, oldIndex: op.oldIndex + head, newIndex: op.newIndex + head });
+    }
+    for (let i = tail; i > 0; i--) {
+      ops.push({ type: ' ', line: a[a.length - i], oldIndex: a.length - i, newIndex: b.length - i });
+    }
+    return ops;
+  }
+
+  /**
+   * Myers' search over lines that differ at both ends. Each step keeps only
+   * the diagonals it can reach, so the trace grows with maxEdits², not with the file size.
+   */
+  myers(a, b) {
+    const max = Math.min(a.length + b.length, this.maxEdits);
+    const offset = max + 1;
+    let v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    let found = a.length + b.length === 0;
+    for (let d = 0; d <= max && !found; d++) {
+      trace.push(v.slice(offset - d, offset + d + 1));
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < a.length && y < b.length && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= a.length && y >= b.length) {
+          found = true;
+          break;
+        }
+      }
+    }
+    if (!found) return null;
+
+    // Walk the trace backwards to recover the edits
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const at = k => trace[d][k + d];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        ops.push({ type: ' ', line: a[x], oldIndex: x, newIndex: y });
+      }
+      if (d > 0) {
+        if (x === prevX) {
+          y--;
+          ops.push({ type: '+', line: b[y], oldIndex: x, newIndex: y });
+        } else {
+          x--;
+          ops.push({ type: '-', line: a[x], oldIndex: x, newIndex: y });
+        }
+      }
+    }
+
+    return ops.reverse();
+  }
+
+  /**
+   * Group edits into hunks with surrounding context
+   */
+  hunks(ops) {
+    const changed = ops.map((op, i) => (op.type !== ' ' ? i : -1)).filter(i => i >= 0);
+    const hunks = [];
+    let start = null;
+    let end = null;
+
+    const flush = () => {
+      const slice = ops.slice(start, end + 1);
+      const first = slice[0];
+      const oldCount = slice.filter(op => op.type !== '+').length;
+      const newCount = slice.filter(op => op.type !== '-').length;
+      const oldStart = oldCount === 0 ? first.oldIndex : first.oldIndex + 1;
+      const newStart = newCount === 0 ? first.newIndex : first.newIndex + 1;
+      hunks.push({
+        header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+        lines: slice.map(op => `${op.type}${op.line}`),
+      });
+    };
+
+    for (const i of changed) {
+      const from = Math.max(0, i - this.context);
+      const to = Math.min(ops.length - 1, i + this.context);
+      if (start !== null && from <= end + 1) {
+        end = to;
+      } else {
+        if (start !== null) flush();
+        start = from;
+        end = to;
+      }
+    }
+    if (start !== null) flush();
+
+    return hunks;
+  }
+}
+
+export default TextDiff;
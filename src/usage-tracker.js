@@ -0,0 +1,211 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// USD per million tokens. Longer names win, so dated versions
+// (claude-sonnet-4-5-20250929) get the price of their model.
+const DEFAULT_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+  'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+};
+
+/**
+ * Counts the tokens Klaus uses as reported by the API - per session and per
+ * host - prices them and enforces the session budget.
+ *
+ * Prices come from a built-in table, extended or overridden by the price file
+ * (~/.klaus/prices.json), in USD per million tokens:
+ * {
+ *   "prices": {
+ *     "claude-sonnet-4-5": { "input": 3, "output": 15, "cacheRead": 0.3, "cacheWrite": 3.75 },
+ *     "qwen2.5:32b": { "input": 0, "output": 0 }
+ *   }
+ * }
+ *
+ * The budget (KLAUS_BUDGET, USD per session) warns at KLAUS_BUDGET_WARN
+ * percent (default 80) and refuses further LLM calls once it is used up.
+ */
+export class UsageTracker {
+  constructor(options = {}) {
+    const filePath = options.filePath
+      || process.env.KLAUS_PRICES_FILE
+      || path.join(os.homedir(), '.klaus', 'prices.json');
+    this.filePath = filePath.replace(/^~/, os.homedir());
+    this.prices = { ...DEFAULT_PRICES };
+
+    this.budget = options.budget ?? (parseFloat(process.env.KLAUS_BUDGET) || null);
+    this.warnPercent = options.warnPercent ?? (parseFloat(process.env.KLAUS_BUDGET_WARN) || 80);
+
+    // Totals by host, over all sessions of this run
+    this.hosts = new Map();
+  }
+
+  /**
+   * Load the price file
+   * @returns {Promise<boolean>} - false if the file does not exist
+   */
+  async load() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw new Error(`Cannot read price file ${this.filePath}: ${err.message}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`Invalid JSON in price file ${this.filePath}: ${err.message}`);
+    }
+
+    this.prices = { ...DEFAULT_PRICES, ...(data.prices || {}) };
+    return true;
+  }
+
+  /**
+   * Zeroed totals, as kept in session.usage
+   */
+  static emptyTotals() {
+    return {
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheReadTokens: 0,
+      cacheWriteTokens: 0,
+      cost: 0,
+      // Calls of models without a price - not in cost
+      unpricedCalls: 0,
+      unpricedModels: [],
+    };
+  }
+
+  /**
+   * Price of a model: exact name, else the longest name it starts with
+   * @returns {Object|null} - {input, output, cacheRead, cacheWrite} in USD per million tokens
+   */
+  priceFor(model) {
+    if (this.prices[model]) return this.prices[model];
+    const match = Object.keys(this.prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? this.prices[match] : null;
+  }
+
+  /**
+   * Cost of one call in USD
+   * @param {string} model
+   * @param {Object} usage - {inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens}
+   * @returns {number|null} - null if the model has no price
+   */
+  costOf(model, usage) {
+    const price = this.priceFor(model);
+    if (!price) return null;
+    const input = price.input || 0;
+    return (usage.inputTokens * input
+      + usage.outputTokens * (price.output || 0)
+      + usage.cacheReadTokens * (price.cacheRead ?? input)
+      + usage.cacheWriteTokens * (price.cacheWrite ?? input)) / 1e6;
+  }
+
+  /**
+   * Host the totals of a session count towards
+   */
+  hostOf(session) {
+    return session.executor.isLocal ? 'localhost' : session.sshConfig.host;
+  }
+
+  /**
+   * Count one API call towards its session and host
+   * @param {Session} session
+   * @param {string} model
+   * @param {Object} [usage] - As returned by LLMProvider.complete(); calls without are not counted
+   */
+  record(session, model, usage) {
+    if (!usage) return;
+    const cost = this.costOf(model, usage);
+    const host = this.hostOf(session);
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, UsageTracker.emptyTotals());
+    }
+
+    for (const totals of [session.usage, this.hosts.get(host)]) {
+      totals.calls++;
+      totals.inputTokens += usage.inputTokens;
+      totals.outputTokens += usage.outputTokens;
+      totals.cacheReadTokens += usage.cacheReadTokens;
+      totals.cacheWriteTokens += usage.cacheWriteTokens;
+      if (cost === null) {
+        totals.unpricedCalls++;
+        if (!totals.unpricedModels.includes(model)) totals.unpricedModels.push(model);
+      } else {
+        totals.cost += cost;
+      }
+    }
+  }
+
+  /**
+   * Totals of all sessions on a session's host
+   */
+  hostTotals(session) {
+    return this.hosts.get(this.hostOf(session)) || UsageTracker.emptyTotals();
+  }
+
+  /**
+   * Where a session stands with its budget
+   * @returns {{limit: number|null, spent: number, warning: boolean, exceeded: boolean}}
+   */
+  budgetStatus(session) {
+    const limit = session.budget;
+    const spent = session.usage.cost;
+    return {
+      limit,
+      spent,
+      warning: Boolean(limit) && spent >= limit * this.warnPercent / 100,
+      exceeded: Boolean(limit) && spent >= limit,
+    };
+  }
+
+  /**
+   * Refuse further LLM calls once the session's budget is used up
+   * @throws {Error} - If it is
+   */
+  assertWithinBudget(session) {
+    const { limit, spent, exceeded } = this.budgetStatus(session);
+    if (exceeded) {
+      throw new Error(`Session budget of ${this.formatCost(limit)} is used up (${this.formatCost(spent)} spent) - raise it with /budget`);
+    }
+  }
+
+  formatCost(usd) {
+    return `$${usd < 1 ? usd.toFixed(4) : usd.toFixed(2)}`;
+  }
+
+  /**
+   * One-line summary of totals for /status
+   */
+  formatTotals(totals) {
+    const n = (count) => count.toLocaleString('en-US');
+    const parts = [
+      `${n(totals.inputTokens)} in`,
+      `${n(totals.outputTokens)} out`,
+      `${n(totals.cacheReadTokens)} cache read`,
+      `${n(totals.cacheWriteTokens)} cache write`,
+    ];
+    let cost = this.formatCost(totals.cost);
+    if (totals.unpricedCalls > 0) {
+      cost += ` + ${totals.unpricedCalls} call(s) without a price for ${totals.unpricedModels.join(', ')}`;
+    }
+    return `${parts.join(', ')} tokens in ${totals.calls} call(s) - ${cost}`;
+  }
+}
+
+export default UsageTracker;
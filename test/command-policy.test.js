@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandPolicy } from '../src/command-policy.js';
+
+function policyWith(rules) {
+  const policy = new CommandPolicy({ filePath: '/nonexistent/policy.json' });
+  policy.rules = rules.map(rule => policy.compileRule(rule));
+  return policy;
+}
+
+const context = { host: 'web-01', sudo: false };
+
+test('allow_without_confirm applies to a matching command', () => {
+  const policy = policyWith([{ action: 'allow_without_confirm', glob: 'systemctl status *' }]);
+  assert.equal(policy.evaluate('systemctl status nginx', context).action, 'allow_without_confirm');
+  assert.equal(policy.evaluate('systemctl status nginx 2>&1 >/dev/null', context).action, 'allow_without_confirm');
+});
+
+test('allow_without_confirm does not cover commands chained after an allowed one', () => {
+  const policy = policyWith([{ action: 'allow_without_confirm', glob: 'systemctl status *' }]);
+  for (const command of [
+    'systemctl status x && userdel bob',
+    'systemctl status nginx; systemctl stop nginx',
+    'systemctl status nginx || reboot',
+    'systemctl status nginx | sh',
+    'systemctl status nginx & rm -rf /srv/app',
+    'systemctl status nginx\nsystemctl stop nginx',
+  ]) {
+    assert.equal(policy.evaluate(command, context).action, 'confirm', command);
+  }
+});
+
+test('allow_without_confirm applies when every command of a line is allowed', () => {
+  const policy = policyWith([
+    { action: 'allow_without_confirm', glob: 'systemctl status *' },
+    { action: 'allow_without_confirm', glob: 'grep *' },
+  ]);
+  assert.equal(policy.evaluate('systemctl status nginx | grep active', context).action, 'allow_without_confirm');
+  assert.equal(policy.evaluate('systemctl status nginx | grep active; reboot', context).action, 'confirm');
+});
+
+test('allow_without_confirm never covers substitutions or redirections into files', () => {
+  const policy = policyWith([{ action: 'allow_without_confirm', glob: 'echo *' }]);
+  for (const command of [
+    'echo $(userdel bob)',
+    'echo `userdel bob`',
+    'echo x > /etc/passwd',
+    'echo x >> /root/.ssh/authorized_keys',
+    'echo x &> /etc/issue',
+    'echo <(userdel bob)',
+  ]) {
+    assert.equal(policy.evaluate(command, context).action, 'confirm', command);
+  }
+  assert.equal(policy.evaluate('echo "a; b"', context).action, 'allow_without_confirm');
+});
+
+test('allow regex rules have to match every command, not just the line', () => {
+  const policy = policyWith([{ action: 'allow_without_confirm', regex: '^systemctl status\\b' }]);
+  assert.equal(policy.evaluate('systemctl status nginx', context).action, 'allow_without_confirm');
+  assert.equal(policy.evaluate('systemctl status nginx && userdel bob', context).action, 'confirm');
+});
+
+test('deny and require_typed_confirm apply to any command of a line', () => {
+  const policy = policyWith([
+    { action: 'allow_without_confirm', glob: 'systemctl status *' },
+    { action: 'deny', glob: 'systemctl stop *', reason: 'use the runbook' },
+    { action: 'require_typed_confirm', glob: 'userdel *' },
+  ]);
+  const denied = policy.evaluate('systemctl status nginx; systemctl stop nginx', context);
+  assert.equal(denied.action, 'deny');
+  assert.equal(denied.reason, 'use the runbook');
+  assert.equal(policy.evaluate('systemctl status x && userdel bob', context).action, 'require_typed_confirm');
+});
+
+test('sudo-only rules and host sudo bans still apply', () => {
+  const policy = policyWith([{ action: 'deny', glob: 'apt *', sudo: true }]);
+  assert.equal(policy.evaluate('apt list', context).action, 'confirm');
+  assert.equal(policy.evaluate('apt list', { host: 'web-01', sudo: true }).action, 'deny');
+  policy.hosts['db-01'] = { allowSudo: false, rules: [] };
+  assert.equal(policy.evaluate('ls', { host: 'db-01', sudo: true }).action, 'deny');
+});
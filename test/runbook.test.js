@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunbookExporter } from '../src/runbook-exporter.js';
+import { RunbookParser } from '../src/runbook-parser.js';
+import { RiskAnalyzer } from '../src/risk-analyzer.js';
+
+const meta = { name: 'web-01', target: 'admin@web-01:22', sessionId: 'test' };
+
+const heredoc = `cat > /etc/motd <<'EOF'
+Welcome to web-01
+EOF`;
+
+const ifBlock = `if systemctl is-active --quiet nginx; then
+  systemctl reload nginx
+else
+  systemctl start nginx
+fi`;
+
+const readme = [
+  '# App',
+  '```bash',
+  'bye',
+  '```',
+  '````',
+  'if true; then',
+  '  echo from the output',
+  'fi',
+].join('\n');
+
+const entries = [
+  { command: 'cat /srv/app/README.md', output: readme, exitCode: 0, success: true, explanation: 'Read the README' },
+  { command: heredoc, output: '', exitCode: 0, success: true, sudo: true, explanation: 'Write the motd' },
+  { command: ifBlock, output: '```\nrm -rf /srv/app\n```', exitCode: 0, success: true, explanation: 'Reload or start nginx' },
+];
+
+function exporter() {
+  return new RunbookExporter(new RiskAnalyzer());
+}
+
+test('a Markdown runbook replays exactly the commands that were run', () => {
+  const markdown = exporter().toMarkdown(entries, meta);
+  const { steps, skipped } = new RunbookParser().parse(markdown, 'runbook.md');
+
+  assert.equal(skipped, 0);
+  assert.deepEqual(steps.map(step => step.command), ['cat /srv/app/README.md', heredoc, ifBlock]);
+  assert.deepEqual(steps.map(step => step.requires_sudo), [false, true, false]);
+  assert.equal(steps[1].explanation, 'Write the motd');
+});
+
+test('a bash script replays heredocs and compound statements as one step each', () => {
+  const { script } = exporter().toShellScript(entries, meta);
+  const { steps } = new RunbookParser().parse(script, 'fix.sh');
+
+  assert.deepEqual(steps.map(step => step.command), [heredoc, ifBlock]);
+});
+
+test('unmarked and output blocks are never replayed', () => {
+  const markdown = [
+    '### Step 1: Check the disk',
+    '',
+    '```',
+    'rm -rf /srv/app',
+    '```',
+    '',
+    '```text',
+    'reboot',
+    '```',
+    '',
+    '```sh',
+    'df -h',
+    '```',
+  ].join('\n');
+
+  const { steps } = new RunbookParser().parse(markdown, 'runbook.md');
+  assert.deepEqual(steps.map(step => step.command), ['df -h']);
+});